@@ -0,0 +1,378 @@
+/// Annotations and runtime helpers for exposing plain Dart functions on
+/// `globalThis.dartbridge`.
+///
+/// Annotated functions are picked up by `scripts/generate-interop.mjs`, which
+/// writes the JS wrappers, type conversions and registration into
+/// `interop.dart`.
+library bridge;
+
+import 'dart:async';
+import 'dart:js_interop';
+import 'dart:js_interop_unsafe';
+
+/// Exports a top-level function to JavaScript.
+///
+/// ```dart
+/// @BridgeExport(namespace: 'math')
+/// List<int> quickSort(List<int> list, [int low = 0, int? high]) { ... }
+/// ```
+class BridgeExport {
+  /// Name of the function on the bridge, defaults to the Dart name.
+  final String? name;
+
+  /// Dotted namespace below `dartbridge`, e.g. `'math'` exports the function
+  /// as `dartbridge.math.quickSort`. Defaults to the top level.
+  final String? namespace;
+
+  const BridgeExport({this.name, this.namespace});
+}
+
+/// Marks a generated JS string type as the names of a Dart enum.
+///
+/// Only used in `interop.dart`, where `scripts/generate-types.mjs` turns it
+/// into a string-literal union.
+class BridgeEnum {
+  /// Names of the enum values in declaration order.
+  final List<String> values;
+
+  const BridgeEnum(this.values);
+}
+
+/// Creates the objects along a dotted [path] on `globalThis` that don't
+/// exist yet, e.g. `'dartbridge.math'`.
+///
+/// Called by the generated `main()` before any function is registered, so no
+/// loader has to prepare the namespace.
+JSObject ensureBridgeNamespace(String path) {
+  var target = globalContext;
+  for (final name in path.split('.')) {
+    final key = name.toJS;
+    if (!target.hasProperty(key).toDart) {
+      target.setProperty(key, JSObject());
+    }
+    target = target.getProperty<JSObject>(key);
+  }
+  return target;
+}
+
+/// A plain JS object used as a `Map<String, V>`.
+extension type JSMap<V extends JSAny?>._(JSObject _) implements JSObject {}
+
+/// Any JSON-like JS value, converted with `jsify()` and `dartify()`.
+typedef JSJson = JSAny;
+
+@JS('Object.keys')
+external JSArray<JSString> _objectKeys(JSObject object);
+
+/// Copies [map] into a plain JS object, converting each value with [convert].
+JSMap<V> mapToJS<T, V extends JSAny?>(
+  Map<String, T> map,
+  V Function(T value) convert,
+) {
+  final object = JSObject();
+  map.forEach((key, value) => object.setProperty(key.toJS, convert(value)));
+  return JSMap<V>._(object);
+}
+
+/// Copies the own properties of [object] into a Dart map, converting each
+/// value with [convert].
+Map<String, T> mapToDart<T, V extends JSAny?>(
+  JSMap<V> object,
+  T Function(V value) convert,
+) {
+  return {
+    for (final key in _objectKeys(object).toDart)
+      key.toDart: convert(object.getProperty<V>(key)),
+  };
+}
+
+/// A JS function received by Dart, typed with the JS signature [F] it is
+/// called with.
+extension type JSCallback<F extends Function>._(JSFunction _)
+    implements JSFunction {}
+
+@JS('Promise.resolve')
+external JSPromise _promiseResolve(JSAny? value);
+
+/// Awaits the [result] of an async JS callback, which may be a promise or a
+/// plain value.
+Future<JSAny?> callbackFuture(JSAny? result) => _promiseResolve(result).toDart;
+
+/// A JS async iterable over the values of a Dart stream.
+extension type JSAsyncIterable<T extends JSAny?>._(JSObject _)
+    implements JSObject {}
+
+@JS('Symbol.asyncIterator')
+external JSAny get _asyncIteratorSymbol;
+
+extension type _IteratorResult._(JSObject _) implements JSObject {
+  external factory _IteratorResult({JSAny? value, required JSBoolean done});
+}
+
+/// Exposes [stream] to JS as an async iterable, converting each value with
+/// [convert].
+///
+/// The stream is pulled through a [StreamIterator], so it stays paused until
+/// JS asks for the next value, and `return()` (e.g. `break` in a
+/// `for await` loop) cancels the subscription right away, even while a
+/// `next()` call is waiting.
+JSAsyncIterable<V> streamToJS<T, V extends JSAny?>(
+  Stream<T> stream,
+  V Function(T value) convert,
+) {
+  final iterator = StreamIterator(stream);
+  var pending = Future<void>.value();
+
+  // Calls are chained because moveNext() must not overlap
+  Future<_IteratorResult> next() async {
+    if (!await iterator.moveNext()) {
+      return _IteratorResult(done: true.toJS);
+    }
+    return _IteratorResult(value: convert(iterator.current), done: false.toJS);
+  }
+
+  Future<_IteratorResult> cancel(JSAny? value) async {
+    await iterator.cancel();
+    return _IteratorResult(value: value, done: true.toJS);
+  }
+
+  JSPromise<_IteratorResult> enqueue(Future<_IteratorResult> Function() step) {
+    final result = pending.then((_) => step());
+    pending = result.then((_) {}, onError: (_) {});
+    return bridgePromise(result);
+  }
+
+  final object = JSObject();
+  object.setProperty('next'.toJS, (() => enqueue(next)).toJS);
+  // Not queued behind next(), which may wait for a value that never comes:
+  // cancelling completes a pending moveNext() with false, so it settles done
+  object.setProperty(
+    'return'.toJS,
+    (([JSAny? value]) => bridgePromise(cancel(value))).toJS,
+  );
+  object.setProperty(_asyncIteratorSymbol, (() => object).toJS);
+  return JSAsyncIterable<V>._(object);
+}
+
+/// A JS `AbortSignal`.
+extension type JSAbortSignal._(JSObject _) implements JSObject {
+  external JSBoolean get aborted;
+  external JSAny? get reason;
+  external void addEventListener(JSString type, JSFunction listener);
+  external void removeEventListener(JSString type, JSFunction listener);
+}
+
+/// Cancellation requested from JS through an `AbortSignal`.
+///
+/// Declare a `BridgeAbortSignal` parameter on an async bridge function to
+/// accept a signal; the returned promise rejects with the signal's reason
+/// (an `AbortError` unless JS passed its own) as soon as it aborts, and the
+/// function can use [whenAborted] to stop its own work.
+class BridgeAbortSignal {
+  final JSAbortSignal _signal;
+  Completer<void>? _aborted;
+  JSFunction? _listener;
+
+  BridgeAbortSignal.fromJS(this._signal);
+
+  /// Whether JS has aborted the call.
+  bool get aborted => _signal.aborted.toDart;
+
+  /// Completes when JS aborts the call.
+  Future<void> get whenAborted {
+    var aborted = _aborted;
+    if (aborted == null) {
+      aborted = _aborted = Completer<void>();
+      if (this.aborted) {
+        aborted.complete();
+      } else {
+        final listener = ((JSAny? event) {
+          _detach();
+          _aborted!.complete();
+        }).toJS;
+        _listener = listener;
+        _signal.addEventListener('abort'.toJS, listener);
+      }
+    }
+    return aborted.future;
+  }
+
+  /// Stops listening to the JS signal once the call has settled, so
+  /// long-lived signals don't keep a listener for every call.
+  void _detach() {
+    final listener = _listener;
+    if (listener != null) {
+      _signal.removeEventListener('abort'.toJS, listener);
+      _listener = null;
+    }
+  }
+
+  /// Throws a [BridgeAbortedException] with the signal's reason if JS has
+  /// aborted the call.
+  void throwIfAborted() {
+    if (aborted) throw BridgeAbortedException(_signal.reason);
+  }
+}
+
+/// Thrown by [BridgeAbortSignal.throwIfAborted].
+///
+/// Reaches the JS caller as the signal's [reason] itself, so checks like
+/// `error.name === 'AbortError'` work, rather than as a `DartBridgeError`.
+class BridgeAbortedException implements Exception {
+  /// The reason JS aborted with, an `AbortError` unless it passed its own.
+  final JSAny? reason;
+
+  const BridgeAbortedException(this.reason);
+
+  @override
+  String toString() => 'BridgeAbortedException: The bridge call was aborted';
+}
+
+/// Settles like [promise], unless [signal] aborts first, in which case it
+/// rejects with the signal's reason.
+JSPromise<T> abortable<T extends JSAny?>(
+  JSPromise<T> promise,
+  BridgeAbortSignal? signal,
+) {
+  if (signal == null) {
+    return promise;
+  }
+  return JSPromise<T>(
+    ((JSFunction resolve, JSFunction reject) {
+      // Settling twice is a no-op, so whichever happens first wins
+      promise.callMethod('then'.toJS, resolve, reject);
+      if (signal.aborted) {
+        reject.callAsFunction(null, signal._signal.reason);
+        return;
+      }
+      signal.whenAborted.then(
+        (_) => reject.callAsFunction(null, signal._signal.reason),
+      );
+      // Long-lived signals keep no listener once the call has settled
+      final detach = (([JSAny? _]) => signal._detach()).toJS;
+      promise.callMethod('then'.toJS, detach, detach);
+    }).toJS,
+  );
+}
+
+/// JS error classes installed by [installBridgeErrors], each with the class
+/// it extends, parents first.
+const _bridgeErrorParents = <String, String?>{
+  'DartBridgeError': null,
+  'DartArgumentError': 'DartBridgeError',
+  'DartRangeError': 'DartArgumentError',
+  'DartStateError': 'DartBridgeError',
+  'DartUnsupportedError': 'DartBridgeError',
+  'DartFormatException': 'DartBridgeError',
+  'DartTimeoutException': 'DartBridgeError',
+};
+
+/// Name of the JS error class a Dart exception is reported as.
+String _bridgeErrorName(Object error) => switch (error) {
+      RangeError() => 'DartRangeError',
+      ArgumentError() => 'DartArgumentError',
+      StateError() => 'DartStateError',
+      UnsupportedError() => 'DartUnsupportedError',
+      FormatException() => 'DartFormatException',
+      TimeoutException() => 'DartTimeoutException',
+      _ => 'DartBridgeError',
+    };
+
+final _bridgeErrorPrototypes = <String, JSObject>{};
+
+@JS('Error')
+extension type _JSError._(JSObject _) implements JSObject {
+  external factory _JSError(JSString message);
+}
+
+@JS('Error.prototype')
+external JSObject get _errorPrototype;
+
+@JS('Object.create')
+external JSObject _objectCreate(JSObject prototype);
+
+@JS('Object.setPrototypeOf')
+external JSObject _setPrototypeOf(JSObject object, JSObject prototype);
+
+@JS('Function')
+external JSFunction _jsFunction(JSString parameter, JSString body);
+
+/// A JS function throwing its argument, created with `Function`, which a
+/// Content-Security-Policy only allows with 'unsafe-eval'.
+final JSFunction _jsThrow = _jsFunction('error'.toJS, 'throw error;'.toJS);
+
+/// Defines `DartBridgeError` and its subclasses on the object at the dotted
+/// [path], so JS can tell failures apart with `instanceof`.
+///
+/// Called by the generated `main()` before any function is registered.
+void installBridgeErrors(String path) {
+  final namespace = ensureBridgeNamespace(path);
+  _bridgeErrorParents.forEach((name, parent) {
+    final prototype = _objectCreate(
+      parent == null ? _errorPrototype : _bridgeErrorPrototypes[parent]!,
+    );
+    prototype.setProperty('name'.toJS, name.toJS);
+    _bridgeErrorPrototypes[name] = prototype;
+
+    // Constructing one from JS is only useful to fake failures in tests
+    final constructor = (([JSString? message]) =>
+        _createBridgeError(name, message?.toDart ?? '', '', '')).toJS;
+    constructor.setProperty('prototype'.toJS, prototype);
+    prototype.setProperty('constructor'.toJS, constructor);
+    namespace.setProperty(name.toJS, constructor);
+  });
+}
+
+JSObject _createBridgeError(
+  String name,
+  String message,
+  String dartType,
+  String dartStack,
+) {
+  final error = _JSError(message.toJS);
+  _setPrototypeOf(error, _bridgeErrorPrototypes[name] ?? _errorPrototype);
+  error.setProperty('dartType'.toJS, dartType.toJS);
+  error.setProperty('dartStack'.toJS, dartStack.toJS);
+  return error;
+}
+
+/// Creates the `DartBridgeError` JS sees for a Dart [error].
+///
+/// The JS `message` is the Dart `toString()`, `dartType` the runtime type of
+/// [error] and `dartStack` the Dart [stackTrace]. A [BridgeAbortedException]
+/// is seen as the abort reason instead.
+JSAny? bridgeError(Object error, StackTrace stackTrace) {
+  if (error is BridgeAbortedException) {
+    return error.reason;
+  }
+  return _createBridgeError(
+    _bridgeErrorName(error),
+    error.toString(),
+    error.runtimeType.toString(),
+    stackTrace.toString(),
+  );
+}
+
+/// Throws a Dart [error] to the JS caller as a `DartBridgeError`.
+///
+/// Dart wraps JS values it throws in an error of its own, so the error is
+/// thrown by JS instead.
+Never throwBridgeError(Object error, StackTrace stackTrace) {
+  _jsThrow.callAsFunction(null, bridgeError(error, stackTrace));
+  Error.throwWithStackTrace(error, stackTrace);
+}
+
+/// Converts [future] to a promise that rejects with a `DartBridgeError`.
+///
+/// `Future.toJS` would reject with a generic wrapper error instead.
+JSPromise<T> bridgePromise<T extends JSAny?>(Future<T> future) {
+  return JSPromise<T>(
+    ((JSFunction resolve, JSFunction reject) {
+      future.then(
+        (value) => resolve.callAsFunction(null, value),
+        onError: (Object error, StackTrace stackTrace) =>
+            reject.callAsFunction(null, bridgeError(error, stackTrace)),
+      );
+    }).toJS,
+  );
+}
@@ -0,0 +1,26 @@
+import 'bridge.dart';
+
+/// Prints a greeting to the console.
+@BridgeExport(name: 'functionName')
+void sayHello() {
+  print('Hello from Dart!');
+}
+
+/// Builds a greeting for [name].
+///
+/// [greeting] is the word placed before the name.
+///
+/// [shout] upper-cases the whole message.
+///
+/// Returns the greeting, e.g. `Hello, Ada!`.
+@BridgeExport()
+String greet(String name, {String greeting = 'Hello', bool shout = false}) {
+  final message = '$greeting, $name!';
+  return shout ? message.toUpperCase() : message;
+}
+
+// another dummy function to test gen
+@BridgeExport()
+void anotherFunction() {
+  print('This is another function!');
+}
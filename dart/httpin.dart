@@ -1,23 +1,39 @@
+import 'dart:convert';
+
 import 'package:http/http.dart' as http;
 
-Future<String> fetchData() async {
+import 'bridge.dart';
+
+/// Fetches the personal rating data.
+///
+/// Aborting [signal] closes the HTTP client, cancelling the request. Network
+/// errors and non-200 responses are thrown.
+@BridgeExport(namespace: 'net')
+Future<String> fetchData({BridgeAbortSignal? signal}) async {
   var url = Uri.https(
     'raw.githubusercontent.com',
     'wowsinfo/WoWs-Info-Seven/refs/heads/API/json/personal_rating.json',
   );
+  final client = http.Client();
+  signal?.whenAborted.then((_) => client.close());
   try {
-    var response = await http.get(url);
+    var response = await client.get(url);
     if (response.statusCode == 200) {
       return response.body;
     } else {
       throw Exception('Failed to load data: ${response.statusCode}');
     }
-  } catch (e) {
-    print('Error fetching data: $e');
-    return 'Error fetching data: $e';
+  } finally {
+    client.close();
   }
 }
 
+/// Fetches the same data as [fetchData], decoded from JSON.
+@BridgeExport(namespace: 'net')
+Future<Map<String, dynamic>> fetchJson({BridgeAbortSignal? signal}) async {
+  return jsonDecode(await fetchData(signal: signal)) as Map<String, dynamic>;
+}
+
 void main() async {
   // Example of a GET request
   final response = await fetchData();
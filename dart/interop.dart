@@ -1,55 +1,370 @@
+// GENERATED CODE - DO NOT MODIFY BY HAND
+//
+// Generated by scripts/generate-interop.mjs from the @BridgeExport()
+// functions in dart/*.dart. To regenerate: npm run generate-interop
+
 @JS()
 library interop;
 
 import 'dart:js_interop';
+import 'bridge.dart';
+import 'hello.dart';
+import 'httpin.dart';
 import 'quick.dart';
-import "httpin.dart";
+import 'stats.dart';
 
-@JS('globalThis.dartbridge.functionName')
-external set _functionName(JSFunction f);
+/// Summary of a list of numbers.
+extension type JSStats._(JSObject _) implements JSObject {
+  external factory JSStats({
+    required JSNumber count,
+    required JSNumber mean,
+    _JSRecord1? range,
+  });
 
-void _someDartFunction() {
-  print('Hello from Dart!');
+  /// How many values were summarized.
+  external JSNumber get count;
+
+  /// Arithmetic mean, `0` for an empty list.
+  external JSNumber get mean;
+
+  /// Smallest and largest value, `null` for an empty list.
+  external _JSRecord1? get range;
 }
 
-@JS('globalThis.dartbridge.quickSort')
-external set _quickSort(JSFunction f);
+JSStats _statsToJS(Stats value) {
+  return JSStats(
+    count: value.count.toJS,
+    mean: value.mean.toJS,
+    range: value.range == null ? null : _record1ToJS(value.range!),
+  );
+}
 
-JSArray<JSNumber> _quickSortImpl(
-  JSArray<JSNumber> list,
-  JSNumber low,
-  JSNumber high,
-) {
-  // Convert JSArray to Dart List
-  final List<int> intList = [];
-  for (int i = 0; i < list.toDart.length; i++) {
-    intList.add((list.toDart[i] as JSNumber).toDartInt);
-  }
+Stats _statsToDart(JSStats value) {
+  return Stats(
+    value.count.toDartInt,
+    value.mean.toDartDouble,
+    range: value.range == null ? null : _record1ToDart(value.range!),
+  );
+}
+
+extension type _JSRecord1._(JSObject _) implements JSObject {
+  external factory _JSRecord1({required JSNumber min, required JSNumber max});
+
+  external JSNumber get min;
+  external JSNumber get max;
+}
+
+_JSRecord1 _record1ToJS(({num min, num max}) value) {
+  return _JSRecord1(min: value.min.toJS, max: value.max.toJS);
+}
+
+({num min, num max}) _record1ToDart(_JSRecord1 value) {
+  return (min: value.min.toDartDouble, max: value.max.toDartDouble);
+}
+
+/// Direction in which [sorted] orders values.
+@BridgeEnum(['ascending', 'descending'])
+extension type JSSortOrder._(JSString _) implements JSString {}
+
+@JS('globalThis.dartbridge.SortOrder')
+external set _sortOrderValues(JSObject values);
+
+JSSortOrder _sortOrderToJS(SortOrder value) {
+  return JSSortOrder._(value.name.toJS);
+}
+
+SortOrder _sortOrderToDart(JSSortOrder value) {
+  final name = value.toDart;
+  return SortOrder.values.asNameMap()[name] ??
+      (throw ArgumentError.value(
+          name, 'SortOrder', 'Expected one of ascending, descending'));
+}
 
-  quickSort(intList, low.toDartInt, high.toDartInt);
+@JS('globalThis.dartbridge.functionName')
+external set _functionName(JSFunction f);
 
-  // Convert back to JSArray
-  return intList.map((e) => e.toJS).toList().toJS;
+/// Prints a greeting to the console.
+void _functionNameImpl() {
+  try {
+    sayHello();
+  } catch (error, stackTrace) {
+    throwBridgeError(error, stackTrace);
+  }
 }
 
-@JS('globalThis.dartbridge.fetchData')
-external set _fetchData(JSFunction f);
+@JS('globalThis.dartbridge.greet')
+external set _greet(JSFunction f);
 
-JSPromise<JSString> _fetchDataImpl() {
-  return fetchData().then((value) => value.toJS).toJS;
+extension type _GreetOptions._(JSObject _) implements JSObject {
+  external JSString? get greeting;
+  external JSBoolean? get shout;
+}
+
+/// Builds a greeting for [name].
+///
+/// [greeting] is the word placed before the name.
+///
+/// [shout] upper-cases the whole message.
+///
+/// Returns the greeting, e.g. `Hello, Ada!`.
+JSString _greetImpl(JSString name, [_GreetOptions? options]) {
+  try {
+    final result = greet(
+      name.toDart,
+      greeting: options?.greeting?.toDart ?? 'Hello',
+      shout: options?.shout?.toDart ?? false,
+    );
+    return result.toJS;
+  } catch (error, stackTrace) {
+    throwBridgeError(error, stackTrace);
+  }
 }
 
-// another dummy function to test gen
 @JS('globalThis.dartbridge.anotherFunction')
 external set _anotherFunction(JSFunction f);
 
 void _anotherFunctionImpl() {
-  print('This is another function!');
+  try {
+    anotherFunction();
+  } catch (error, stackTrace) {
+    throwBridgeError(error, stackTrace);
+  }
+}
+
+@JS('globalThis.dartbridge.net.fetchData')
+external set _netFetchData(JSFunction f);
+
+extension type _NetFetchDataOptions._(JSObject _) implements JSObject {
+  external JSAbortSignal? get signal;
+}
+
+/// Fetches the personal rating data.
+///
+/// Aborting [signal] closes the HTTP client, cancelling the request. Network
+/// errors and non-200 responses are thrown.
+JSPromise<JSString> _netFetchDataImpl([_NetFetchDataOptions? options]) {
+  try {
+    final bridgeSignal = options?.signal == null ? null : BridgeAbortSignal.fromJS((options?.signal)!);
+    final result = fetchData(signal: bridgeSignal);
+    return abortable(bridgePromise(result.then((value) => value.toJS)), bridgeSignal);
+  } catch (error, stackTrace) {
+    throwBridgeError(error, stackTrace);
+  }
+}
+
+@JS('globalThis.dartbridge.net.fetchJson')
+external set _netFetchJson(JSFunction f);
+
+extension type _NetFetchJsonOptions._(JSObject _) implements JSObject {
+  external JSAbortSignal? get signal;
+}
+
+/// Fetches the same data as [fetchData], decoded from JSON.
+JSPromise<JSMap<JSJson?>> _netFetchJsonImpl([_NetFetchJsonOptions? options]) {
+  try {
+    final bridgeSignal = options?.signal == null ? null : BridgeAbortSignal.fromJS((options?.signal)!);
+    final result = fetchJson(signal: bridgeSignal);
+    return abortable(bridgePromise(result.then((value) => mapToJS(value, (e1) => e1.jsify()))), bridgeSignal);
+  } catch (error, stackTrace) {
+    throwBridgeError(error, stackTrace);
+  }
+}
+
+@JS('globalThis.dartbridge.math.quickSort')
+external set _mathQuickSort(JSFunction f);
+
+/// Sorts [list] in place between [low] and [high] and returns it.
+///
+/// Sorts the whole list when the bounds are omitted.
+JSArray<JSNumber> _mathQuickSortImpl(
+  JSArray<JSNumber> list, [
+  JSNumber? low,
+  JSNumber? high,
+]) {
+  try {
+    final result = quickSort(
+      list.toDart.map((e) => e.toDartInt).toList(),
+      low?.toDartInt ?? 0,
+      high?.toDartInt,
+    );
+    return result.map((e) => e.toJS).toList().toJS;
+  } catch (error, stackTrace) {
+    throwBridgeError(error, stackTrace);
+  }
+}
+
+@JS('globalThis.dartbridge.math.quickSortInt32')
+external set _mathQuickSortInt32(JSFunction f);
+
+/// Sorts [list] in place and returns it.
+///
+/// The typed array is shared with JavaScript, so unlike [quickSort] no
+/// elements are copied in either direction.
+JSInt32Array _mathQuickSortInt32Impl(JSInt32Array list) {
+  try {
+    final result = quickSortInt32(list.toDart);
+    return result.toJS;
+  } catch (error, stackTrace) {
+    throwBridgeError(error, stackTrace);
+  }
+}
+
+@JS('globalThis.dartbridge.math.describe')
+external set _mathDescribe(JSFunction f);
+
+/// Summarizes [values].
+JSStats _mathDescribeImpl(JSArray<JSNumber> values) {
+  try {
+    final result = describe(values.toDart.map((e) => e.toDartDouble).toList());
+    return _statsToJS(result);
+  } catch (error, stackTrace) {
+    throwBridgeError(error, stackTrace);
+  }
+}
+
+@JS('globalThis.dartbridge.math.normalize')
+external set _mathNormalize(JSFunction f);
+
+/// Scales [values] into 0..1 using the range of [stats].
+///
+/// Returns the values unchanged when [stats] has no range or a range of zero.
+JSArray<JSNumber> _mathNormalizeImpl(JSArray<JSNumber> values, JSStats stats) {
+  try {
+    final result = normalize(
+      values.toDart.map((e) => e.toDartDouble).toList(),
+      _statsToDart(stats),
+    );
+    return result.map((e) => e.toJS).toList().toJS;
+  } catch (error, stackTrace) {
+    throwBridgeError(error, stackTrace);
+  }
+}
+
+@JS('globalThis.dartbridge.math.sorted')
+external set _mathSorted(JSFunction f);
+
+extension type _MathSortedOptions._(JSObject _) implements JSObject {
+  external JSSortOrder? get order;
+}
+
+/// Returns a sorted copy of [values].
+JSArray<JSNumber> _mathSortedImpl(
+  JSArray<JSNumber> values, [
+  _MathSortedOptions? options,
+]) {
+  try {
+    final result = sorted(
+      values.toDart.map((e) => e.toDartDouble).toList(),
+      order: (options?.order == null ? null : _sortOrderToDart((options?.order)!)) ?? SortOrder.ascending,
+    );
+    return result.map((e) => e.toJS).toList().toJS;
+  } catch (error, stackTrace) {
+    throwBridgeError(error, stackTrace);
+  }
+}
+
+@JS('globalThis.dartbridge.math.describeGroups')
+external set _mathDescribeGroups(JSFunction f);
+
+/// Summarizes every group in [groups] by name.
+JSMap<JSStats> _mathDescribeGroupsImpl(JSMap<JSArray<JSNumber>> groups) {
+  try {
+    final result = describeGroups(
+      mapToDart(groups, (e) => e.toDart.map((e1) => e1.toDartDouble).toList()),
+    );
+    return mapToJS(result, (e) => _statsToJS(e));
+  } catch (error, stackTrace) {
+    throwBridgeError(error, stackTrace);
+  }
+}
+
+@JS('globalThis.dartbridge.math.sortWith')
+external set _mathSortWith(JSFunction f);
+
+/// Returns a sorted copy of [values], ordered by [compare].
+///
+/// Like a JavaScript comparator, [compare] may return any number, e.g.
+/// `a - b` of fractions: only its sign counts, and NaN counts as equal.
+JSArray<JSNumber> _mathSortWithImpl(
+  JSArray<JSNumber> values,
+  JSCallback<JSNumber Function(JSNumber a, JSNumber b)> compare,
+) {
+  try {
+    final result = sortWith(
+      values.toDart.map((e) => e.toDartDouble).toList(),
+      (a, b) => (compare.callAsFunction(null, a.toJS, b.toJS) as JSNumber).toDartDouble,
+    );
+    return result.map((e) => e.toJS).toList().toJS;
+  } catch (error, stackTrace) {
+    throwBridgeError(error, stackTrace);
+  }
+}
+
+@JS('globalThis.dartbridge.math.sumWithProgress')
+external set _mathSumWithProgress(JSFunction f);
+
+/// Sums [values], awaiting [onProgress] after each one.
+JSPromise<JSNumber> _mathSumWithProgressImpl(
+  JSArray<JSNumber> values, [
+  JSCallback<JSPromise Function(JSNumber done, JSNumber total)>? onProgress,
+]) {
+  try {
+    final result = sumWithProgress(
+      values.toDart.map((e) => e.toDartDouble).toList(),
+      onProgress == null ? null : (done, total) => callbackFuture(onProgress.callAsFunction(null, done.toJS, total.toJS)),
+    );
+    return bridgePromise(result.then((value) => value.toJS));
+  } catch (error, stackTrace) {
+    throwBridgeError(error, stackTrace);
+  }
+}
+
+@JS('globalThis.dartbridge.math.runningTotal')
+external set _mathRunningTotal(JSFunction f);
+
+extension type _MathRunningTotalOptions._(JSObject _) implements JSObject {
+  external JSNumber? get intervalMs;
+}
+
+/// Emits the running total of [values], waiting [intervalMs] milliseconds
+/// before each one.
+JSAsyncIterable<JSNumber> _mathRunningTotalImpl(
+  JSArray<JSNumber> values, [
+  _MathRunningTotalOptions? options,
+]) {
+  try {
+    final result = runningTotal(
+      values.toDart.map((e) => e.toDartDouble).toList(),
+      intervalMs: options?.intervalMs?.toDartInt ?? 0,
+    );
+    return streamToJS(result, (value) => value.toJS);
+  } catch (error, stackTrace) {
+    throwBridgeError(error, stackTrace);
+  }
 }
 
 void main() {
-  _functionName = _someDartFunction.toJS;
-  _quickSort = _quickSortImpl.toJS;
-  _fetchData = _fetchDataImpl.toJS;
+  ensureBridgeNamespace('dartbridge');
+  ensureBridgeNamespace('dartbridge.net');
+  ensureBridgeNamespace('dartbridge.math');
+  installBridgeErrors('dartbridge');
+
+  _functionName = _functionNameImpl.toJS;
+  _greet = _greetImpl.toJS;
   _anotherFunction = _anotherFunctionImpl.toJS;
+  _netFetchData = _netFetchDataImpl.toJS;
+  _netFetchJson = _netFetchJsonImpl.toJS;
+  _mathQuickSort = _mathQuickSortImpl.toJS;
+  _mathQuickSortInt32 = _mathQuickSortInt32Impl.toJS;
+  _mathDescribe = _mathDescribeImpl.toJS;
+  _mathNormalize = _mathNormalizeImpl.toJS;
+  _mathSorted = _mathSortedImpl.toJS;
+  _mathDescribeGroups = _mathDescribeGroupsImpl.toJS;
+  _mathSortWith = _mathSortWithImpl.toJS;
+  _mathSumWithProgress = _mathSumWithProgressImpl.toJS;
+  _mathRunningTotal = _mathRunningTotalImpl.toJS;
+
+  _sortOrderValues = {
+    for (final value in SortOrder.values) value.name: value.name,
+  }.jsify() as JSObject;
 }
@@ -1,9 +1,29 @@
-void quickSort(List<int> list, int low, int high) {
+import 'dart:typed_data';
+
+import 'bridge.dart';
+
+/// Sorts [list] in place between [low] and [high] and returns it.
+///
+/// Sorts the whole list when the bounds are omitted.
+@BridgeExport(namespace: 'math')
+List<int> quickSort(List<int> list, [int low = 0, int? high]) {
+  high ??= list.length - 1;
   if (low < high) {
     int pivotIndex = _partition(list, low, high);
     quickSort(list, low, pivotIndex - 1);
     quickSort(list, pivotIndex + 1, high);
   }
+  return list;
+}
+
+/// Sorts [list] in place and returns it.
+///
+/// The typed array is shared with JavaScript, so unlike [quickSort] no
+/// elements are copied in either direction.
+@BridgeExport(namespace: 'math')
+Int32List quickSortInt32(Int32List list) {
+  quickSort(list);
+  return list;
 }
 
 int _partition(List<int> list, int low, int high) {
@@ -0,0 +1,101 @@
+import 'bridge.dart';
+
+/// Direction in which [sorted] orders values.
+enum SortOrder { ascending, descending }
+
+/// Summary of a list of numbers.
+class Stats {
+  /// How many values were summarized.
+  final int count;
+
+  /// Arithmetic mean, `0` for an empty list.
+  final num mean;
+
+  /// Smallest and largest value, `null` for an empty list.
+  final ({num min, num max})? range;
+
+  const Stats(this.count, this.mean, {this.range});
+}
+
+/// Summarizes [values].
+@BridgeExport(namespace: 'math')
+Stats describe(List<num> values) {
+  if (values.isEmpty) {
+    return const Stats(0, 0);
+  }
+
+  num sum = 0;
+  num min = values.first;
+  num max = values.first;
+  for (final value in values) {
+    sum += value;
+    if (value < min) min = value;
+    if (value > max) max = value;
+  }
+  return Stats(values.length, sum / values.length, range: (min: min, max: max));
+}
+
+/// Scales [values] into 0..1 using the range of [stats].
+///
+/// Returns the values unchanged when [stats] has no range or a range of zero.
+@BridgeExport(namespace: 'math')
+List<num> normalize(List<num> values, Stats stats) {
+  final range = stats.range;
+  if (range == null || range.max == range.min) {
+    return values;
+  }
+  return [for (final value in values) (value - range.min) / (range.max - range.min)];
+}
+
+/// Returns a sorted copy of [values].
+@BridgeExport(namespace: 'math')
+List<num> sorted(List<num> values, {SortOrder order = SortOrder.ascending}) {
+  final copy = [...values]..sort();
+  return order == SortOrder.ascending ? copy : copy.reversed.toList();
+}
+
+/// Summarizes every group in [groups] by name.
+@BridgeExport(namespace: 'math')
+Map<String, Stats> describeGroups(Map<String, List<num>> groups) {
+  return groups.map((name, values) => MapEntry(name, describe(values)));
+}
+
+/// Called after each value with how many of [total] values are [done].
+typedef ProgressCallback = Future<void> Function(int done, int total);
+
+/// Returns a sorted copy of [values], ordered by [compare].
+///
+/// Like a JavaScript comparator, [compare] may return any number, e.g.
+/// `a - b` of fractions: only its sign counts, and NaN counts as equal.
+@BridgeExport(namespace: 'math')
+List<num> sortWith(List<num> values, num Function(num a, num b) compare) {
+  int order(num a, num b) {
+    final result = compare(a, b);
+    return result > 0 ? 1 : (result < 0 ? -1 : 0);
+  }
+
+  return [...values]..sort(order);
+}
+
+/// Sums [values], awaiting [onProgress] after each one.
+@BridgeExport(namespace: 'math')
+Future<num> sumWithProgress(List<num> values, [ProgressCallback? onProgress]) async {
+  num sum = 0;
+  for (var i = 0; i < values.length; i++) {
+    sum += values[i];
+    await onProgress?.call(i + 1, values.length);
+  }
+  return sum;
+}
+
+/// Emits the running total of [values], waiting [intervalMs] milliseconds
+/// before each one.
+@BridgeExport(namespace: 'math')
+Stream<num> runningTotal(List<num> values, {int intervalMs = 0}) async* {
+  num sum = 0;
+  for (final value in values) {
+    await Future<void>.delayed(Duration(milliseconds: intervalMs));
+    sum += value;
+    yield sum;
+  }
+}
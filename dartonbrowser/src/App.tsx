@@ -2,34 +2,35 @@ import { useState, useEffect } from "react";
 import reactLogo from "./assets/react.svg";
 import viteLogo from "/vite.svg";
 import "./App.css";
-import { getDartBridge } from "../../shared/dartloader";
+import { useDartBridge, useDartCall, useDartQuery } from "./dartbridge";
+
+const INPUT_LIST = [3, 1, 2, 4, 5, 6, 7, 8, 9, 10];
 
 export function App() {
   const [count, setCount] = useState(0);
 
+  // Suspends until the Dart script has registered every function
+  const dartbridge = useDartBridge();
+  const sorted = useDartQuery("quickSort", (dart) => dart.math.quickSort(INPUT_LIST, 0, INPUT_LIST.length - 1));
+  const { data, error } = useDartCall((dart, signal) => dart.net.fetchJson({ signal }), []);
+
   useEffect(() => {
-    // Get the typed dartbridge directly
-    const dartbridge = getDartBridge();
-    
     // Call the Dart function
     dartbridge.functionName();
-    let input_list = [3, 1, 2, 4, 5, 6, 7, 8, 9, 10];
-    const output = dartbridge.quickSort(input_list, 0, input_list.length - 1);
-    console.log("Sorted list: ", output);
-    console.log(output);
+    console.log("Sorted list: ", sorted);
+  }, [dartbridge, sorted]);
 
-    dartbridge
-      .fetchData()
-      .then((result: string) => {
-        console.log("Fetch data: ", result);
-        const parsedResult = JSON.parse(result);
-        console.log("Parsed data: ", parsedResult);
-        dartbridge.anotherFunction();
-      })
-      .catch((error: Error) => {
-        console.error("Error fetching data: ", error);
-      });
-  }, []);
+  useEffect(() => {
+    if (data) {
+      console.log("Parsed data: ", data);
+      dartbridge.anotherFunction();
+    } else if (error instanceof dartbridge.DartBridgeError) {
+      // Thrown by the Dart code, with the Dart exception type and stack
+      console.error(`Error fetching data (${error.dartType}): `, error.message);
+    } else if (error) {
+      console.error("Error fetching data: ", error);
+    }
+  }, [dartbridge, data, error]);
 
   return (
     <>
@@ -46,6 +47,9 @@ export function App() {
         <button onClick={() => setCount((count) => count + 1)}>
           count is {count}
         </button>
+        <p>
+          Sorted by Dart: {sorted.join(", ")}
+        </p>
         <p>
           Edit <code>src/App.tsx</code> and save to test HMR
         </p>
@@ -0,0 +1,268 @@
+/**
+ * React integration for the Dart bridge
+ *
+ * Built on shared/dartloader.ts: DartBridgeProvider loads the bundle once,
+ * useDartBridge() suspends until it is ready, useDartCall() runs a call with
+ * loading/error state and useDartQuery() suspends until a call has a result.
+ *
+ * ```tsx
+ * <DartBridgeProvider>
+ *   <Suspense fallback="Loading Dart…">
+ *     <App />
+ *   </Suspense>
+ * </DartBridgeProvider>
+ * ```
+ */
+
+import {
+  createContext,
+  use,
+  useCallback,
+  useEffect,
+  useRef,
+  useState,
+  type DependencyList,
+  type ReactNode,
+} from 'react';
+import type { DartBridge } from '../../dist/interop.js';
+import { loadDartBridge, type LoadDartBridgeOptions } from '../../shared/dartloader';
+
+/**
+ * A call made through the hooks: gets the bridge and a signal that aborts
+ * when the result is no longer wanted, to pass on to bridge functions that
+ * take one
+ */
+export type DartCallback<T> = (bridge: DartBridge, signal: AbortSignal) => T;
+
+interface QueryEntry {
+  key: string;
+  promise: Promise<unknown>;
+  settled: boolean;
+  controller: AbortController;
+  /**
+   * Mounted components showing the result or suspended until it settles
+   */
+  users: number;
+}
+
+interface DartBridgeContextValue {
+  bridge: Promise<DartBridge>;
+  queries: Map<string, QueryEntry>;
+}
+
+// Settled queries no component has mounted with, e.g. because an error
+// boundary caught their error, are dropped after this long
+const UNUSED_QUERY_MS = 1000;
+
+const DartBridgeContext = createContext<DartBridgeContextValue | null>(null);
+
+let defaultContext: DartBridgeContextValue | null = null;
+
+export interface DartBridgeProviderProps {
+  /**
+   * Passed to loadDartBridge(), read on the first render only
+   */
+  options?: LoadDartBridgeOptions;
+
+  /**
+   * Bridge to provide instead of loading one, e.g. from createDartBridge()
+   * or a stand-in in tests
+   */
+  bridge?: DartBridge | Promise<DartBridge>;
+
+  children?: ReactNode;
+}
+
+/**
+ * Load the bridge for the components below it and share their query results
+ *
+ * Optional: without a provider the hooks use a bridge from loadDartBridge()
+ * with the default options.
+ */
+export function DartBridgeProvider({ options, bridge, children }: DartBridgeProviderProps) {
+  const [value] = useState<DartBridgeContextValue>(() => ({
+    bridge: bridge !== undefined ? Promise.resolve(bridge) : loadDartBridge(options),
+    queries: new Map(),
+  }));
+  return <DartBridgeContext value={value}>{children}</DartBridgeContext>;
+}
+
+/**
+ * Drop a use of a query, aborting its call if it was the last one and the
+ * call hasn't settled
+ */
+function releaseQuery(context: DartBridgeContextValue, entry: QueryEntry) {
+  entry.users--;
+  if (entry.users === 0) {
+    if (!entry.settled) entry.controller.abort();
+    if (context.queries.get(entry.key) === entry) context.queries.delete(entry.key);
+  }
+}
+
+function useDartBridgeContext(): DartBridgeContextValue {
+  const context = use(DartBridgeContext);
+  if (context) {
+    return context;
+  }
+  defaultContext ??= { bridge: loadDartBridge(), queries: new Map() };
+  return defaultContext;
+}
+
+/**
+ * The bridge, suspending the component until it has loaded
+ *
+ * A failed load is thrown to the nearest error boundary.
+ */
+export function useDartBridge(): DartBridge {
+  return use(useDartBridgeContext().bridge);
+}
+
+export interface DartCallState<T> {
+  /**
+   * Result of the latest call that succeeded, kept while the next one runs
+   */
+  data: T | undefined;
+
+  /**
+   * Error of the latest call, if it failed
+   */
+  error: unknown;
+
+  loading: boolean;
+
+  /**
+   * Make the call again
+   */
+  refetch(): void;
+}
+
+/**
+ * A number that changes whenever one of deps does, compared as useEffect
+ * compares its dependencies, so a list of any length is one dependency
+ */
+function useDepsVersion(deps: DependencyList): number {
+  const [tracked, setTracked] = useState({ deps, version: 0 });
+  const changed = deps.length !== tracked.deps.length ||
+    deps.some((dep, index) => !Object.is(dep, tracked.deps[index]));
+  if (changed) {
+    // Updated during render, so React renders again before committing
+    setTracked({ deps, version: tracked.version + 1 });
+    return tracked.version + 1;
+  }
+  return tracked.version;
+}
+
+/**
+ * Make a bridge call when the component mounts and whenever deps change,
+ * tracking its result, error and loading state
+ *
+ * deps work like useEffect's: the call is made again when one of them
+ * changes, compared with Object.is, while fn itself may change on every
+ * render. The signal passed to fn aborts on unmount and before the next
+ * call, and results arriving after that are ignored. Suspends while the
+ * bridge loads.
+ *
+ * ```tsx
+ * const { data, error, loading } = useDartCall(
+ *   (dart, signal) => dart.net.fetchJson({ signal }), []);
+ * ```
+ */
+export function useDartCall<T>(fn: DartCallback<T>, deps: DependencyList): DartCallState<Awaited<T>> {
+  const bridge = useDartBridge();
+  const [state, setState] = useState<Omit<DartCallState<Awaited<T>>, 'refetch'>>({
+    data: undefined,
+    error: undefined,
+    loading: true,
+  });
+  const [run, setRun] = useState(0);
+  const depsVersion = useDepsVersion(deps);
+
+  // The latest fn is called, deps decide when
+  const fnRef = useRef(fn);
+  useEffect(() => {
+    fnRef.current = fn;
+  });
+
+  useEffect(() => {
+    const controller = new AbortController();
+    setState(previous => ({ ...previous, error: undefined, loading: true }));
+
+    new Promise<T>(resolve => resolve(fnRef.current(bridge, controller.signal))).then(
+      data => {
+        if (!controller.signal.aborted) {
+          setState({ data: data as Awaited<T>, error: undefined, loading: false });
+        }
+      },
+      (error: unknown) => {
+        if (!controller.signal.aborted) {
+          setState(previous => ({ data: previous.data, error, loading: false }));
+        }
+      },
+    );
+
+    return () => controller.abort();
+  }, [bridge, run, depsVersion]);
+
+  const refetch = useCallback(() => setRun(count => count + 1), []);
+  return { ...state, refetch };
+}
+
+/**
+ * Make a bridge call and suspend the component until it has a result
+ *
+ * Components using the same key share the call and its result while any of
+ * them is mounted, so the key must cover every input of fn. Errors are
+ * thrown to the nearest error boundary. The signal passed to fn aborts when
+ * the last component using or waiting for the result unmounts or moves on
+ * to another key. A component suspending on its first render hasn't
+ * mounted yet, so it only counts once the result is in.
+ *
+ * ```tsx
+ * const sorted = useDartQuery(`sorted:${values}`, dart => dart.math.sorted(values));
+ * ```
+ */
+export function useDartQuery<T>(key: string, fn: DartCallback<T>): Awaited<T> {
+  const context = useDartBridgeContext();
+  const bridge = use(context.bridge);
+
+  let entry = context.queries.get(key);
+  if (!entry) {
+    const controller = new AbortController();
+    const promise = new Promise<T>(resolve => resolve(fn(bridge, controller.signal)));
+    const created: QueryEntry = { key, promise, settled: false, controller, users: 0 };
+    const settle = () => {
+      created.settled = true;
+      setTimeout(() => {
+        if (created.users === 0 && context.queries.get(key) === created) {
+          context.queries.delete(key);
+        }
+      }, UNUSED_QUERY_MS);
+    };
+    promise.then(settle, settle);
+    context.queries.set(key, created);
+    entry = created;
+  }
+
+  // The query this component uses once mounted. A mounted component that
+  // suspends on a new key keeps its effects without running them again
+  // until the result is in, so it switches queries while rendering, and the
+  // cleanup releases whichever one it is on.
+  const used = useRef<QueryEntry | null>(null);
+  if (used.current && used.current !== entry) {
+    entry.users++;
+    releaseQuery(context, used.current);
+    used.current = entry;
+  }
+
+  useEffect(() => {
+    entry.users++;
+    context.queries.set(entry.key, entry);
+    used.current = entry;
+    return () => {
+      releaseQuery(context, used.current!);
+      used.current = null;
+    };
+  }, [context, entry]);
+
+  return use(entry.promise) as Awaited<T>;
+}
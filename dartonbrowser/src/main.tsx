@@ -1,20 +1,17 @@
-import { StrictMode } from 'react'
+import { StrictMode, Suspense } from 'react'
 import { createRoot } from 'react-dom/client'
 import './index.css'
 import { App } from './App';
-import { getDartBridge } from '../../shared/dartloader';
-
-// Validate that the dartbridge is initialized by the Dart script
-// The Dart script is loaded before this module via index.html
-try {
-  getDartBridge();
-  console.log('✓ Dart bridge initialized successfully');
-} catch (error) {
-  console.error('✗ Failed to initialize Dart bridge:', error);
-}
+import { DartBridgeProvider } from './dartbridge';
 
+// The provider loads the Dart compiled JavaScript (creates the dartbridge
+// namespace); App suspends until it is ready
 createRoot(document.getElementById('root')!).render(
   <StrictMode>
-    <App />
+    <DartBridgeProvider>
+      <Suspense fallback={<p>Loading Dart…</p>}>
+        <App />
+      </Suspense>
+    </DartBridgeProvider>
   </StrictMode>,
 )
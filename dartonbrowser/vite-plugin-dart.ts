@@ -0,0 +1,319 @@
+import { exec } from 'node:child_process'
+import { createHash } from 'node:crypto'
+import { existsSync, readFileSync, statSync, writeFileSync } from 'node:fs'
+import { isAbsolute, join, relative, resolve, sep } from 'node:path'
+import { pathToFileURL } from 'node:url'
+import { promisify } from 'node:util'
+import { loadEnv, type HtmlTagDescriptor, type Plugin, type ResolvedConfig, type ViteDevServer } from 'vite'
+
+const run = promisify(exec)
+
+type DartBundle = 'development' | 'production'
+
+export interface DartPluginOptions {
+  /**
+   * Repository root with scripts/ and the dartinjs.config the Dart entry
+   * point is read from, defaults to the parent of the Vite root
+   */
+  root?: string
+}
+
+// Entry point the page bootstrap describes at its top level, the others
+// are listed by name, see DEFAULT_ENTRY in scripts/config.mjs
+const DEFAULT_ENTRY = 'interop'
+
+// Outputs of one bundle of an entry in the configured outDir, served below
+// /dart/ by the dev server
+function bundleFile(name: string, bundle: DartBundle): string {
+  return bundle === 'development' ? `${name}.dev.js` : `${name}.js`
+}
+
+// The parts of the repository's scripts/config.mjs and
+// scripts/bundle-module.mjs the plugin uses, imported from its root so the
+// bundles are compiled as scripts/build-dart.mjs compiles them
+interface DartEntryConfig {
+  name: string
+  entry: string
+  namespace: string
+  dartDir: string
+}
+
+interface DartConfig {
+  outDir: string
+  entries: DartEntryConfig[]
+}
+
+interface ConfigScript {
+  CONFIG_FILES: string[]
+  loadConfig(root: string): Promise<DartConfig>
+  jsCompileFlags(config: DartConfig, bundle: DartBundle): string[]
+  isDartSource(path: string): boolean
+  dartSources(dir: string): string[]
+}
+
+interface BundleModuleScript {
+  writeBundleModule(bundlePath: string, namespace: string): string
+}
+
+function importScript<T>(root: string, name: string): Promise<T> {
+  return import(pathToFileURL(join(root, 'scripts', name)).href) as Promise<T>
+}
+
+// What the page bootstrap tells loadDartBridge() about one entry
+interface EntryBootstrap {
+  bundles: Partial<Record<DartBundle, string>>
+  functions?: string[]
+  namespace?: string
+  notInWorker?: string[]
+}
+
+/**
+ * Compile the Dart entry points of dartinjs.config with the same steps and
+ * flags as scripts/build-dart.mjs, serve their bundles in development and
+ * emit one hashed asset per entry in builds
+ *
+ * The dev server compiles the development bundles at startup and again when
+ * a Dart file of an entry's package changes, then reloads the page;
+ * /dart/<entry>.js is compiled when first requested. A bootstrap script in
+ * index.html tells loadDartBridge() in shared/dartloader.ts where the
+ * bundles are and which functions to wait for.
+ */
+export function dart(options: DartPluginOptions = {}): Plugin {
+  let config: ResolvedConfig
+  let root: string
+  let buildBundle: DartBundle
+  let scripts: ConfigScript & BundleModuleScript
+  let dartConfig: DartConfig
+  // Emitted assets by entry name, in builds
+  const builtAssets = new Map<string, string>()
+
+  // One compile at a time, generate-interop.mjs rewrites the entry files
+  let queue: Promise<unknown> = Promise.resolve()
+  const compiles = new Map<string, Promise<void>>()
+
+  const output = (entry: DartEntryConfig, bundle: DartBundle) =>
+    join(dartConfig.outDir, bundleFile(entry.name, bundle))
+  // Hash of the flags a bundle was compiled with, written next to it
+  const flagsFile = (entry: DartEntryConfig, bundle: DartBundle) =>
+    output(entry, bundle).replace(/\.js$/, '.flags')
+  const flagsHash = (bundle: DartBundle) =>
+    createHash('sha256').update(JSON.stringify(scripts.jsCompileFlags(dartConfig, bundle))).digest('hex').slice(0, 16)
+
+  /**
+   * Whether a changed file is a source of the entry; entry files are
+   * generated by the compile itself
+   */
+  function isSource(entry: DartEntryConfig, file: string): boolean {
+    const path = relative(entry.dartDir, file)
+    if (path.startsWith('..') || isAbsolute(path)) return false
+    if (dartConfig.entries.some(({ entry }) => entry === file)) return false
+    return scripts.isDartSource(path.split(sep).join('/'))
+  }
+
+  /**
+   * Whether the compiled bundle is newer than every Dart source and the
+   * configuration file, and was compiled with the current flags; bundles
+   * compiled by scripts/build-dart.mjs don't record theirs
+   */
+  function isFresh(entry: DartEntryConfig, bundle: DartBundle): boolean {
+    if (!existsSync(output(entry, bundle))) return false
+    const stamp = flagsFile(entry, bundle)
+    if (existsSync(stamp) && readFileSync(stamp, 'utf-8') !== flagsHash(bundle)) return false
+    const compiled = statSync(output(entry, bundle)).mtimeMs
+    const sources = scripts.dartSources(entry.dartDir)
+      .map(file => join(entry.dartDir, file))
+      .filter(file => dartConfig.entries.every(({ entry }) => entry !== file))
+    const configFiles = scripts.CONFIG_FILES.map(file => join(root, file)).filter(file => existsSync(file))
+    return [...configFiles, ...sources].every(file => statSync(file).mtimeMs <= compiled)
+  }
+
+  async function compileNow(entry: DartEntryConfig, bundle: DartBundle): Promise<void> {
+    if (isFresh(entry, bundle)) return
+
+    const file = bundleFile(entry.name, bundle)
+    const started = Date.now()
+    config.logger.info(`[dart] compiling ${file}...`, { timestamp: true })
+    if (!existsSync(join(entry.dartDir, '.dart_tool', 'package_config.json'))) {
+      await run('dart pub get', { cwd: entry.dartDir })
+    }
+    await run(`"${process.execPath}" scripts/generate-interop.mjs --entry ${entry.name}`, { cwd: root })
+    await run(`"${process.execPath}" scripts/generate-types.mjs --entry ${entry.name}`, { cwd: root })
+    const flags = scripts.jsCompileFlags(dartConfig, bundle).join(' ')
+    await run(`dart compile js --output="${output(entry, bundle)}" ${flags} "${entry.entry}"`, {
+      cwd: root,
+      maxBuffer: 16 * 1024 * 1024,
+    })
+    // The ES module wrappers generate-types.mjs writes load the bundle from it
+    scripts.writeBundleModule(output(entry, bundle), entry.namespace)
+    writeFileSync(flagsFile(entry, bundle), flagsHash(bundle))
+    config.logger.info(`[dart] compiled ${file} in ${Date.now() - started} ms`, { timestamp: true })
+  }
+
+  function compile(entry: DartEntryConfig, bundle: DartBundle): Promise<void> {
+    const key = bundleFile(entry.name, bundle)
+    let pending = compiles.get(key)
+    if (!pending) {
+      pending = queue.then(() => compileNow(entry, bundle))
+      queue = pending.catch(() => {})
+      compiles.set(key, pending)
+      // A failed compile is retried by the next request
+      pending.catch(() => compiles.delete(key))
+    }
+    return pending
+  }
+
+  function compileError(error: unknown): Error {
+    const { stdout, stderr, message } = error as { stdout?: string, stderr?: string, message?: string }
+    return new Error(`Dart compilation failed\n${stdout || stderr || message}`.trim())
+  }
+
+  function exportManifest(entry: DartEntryConfig): { namespace?: string, functions: string[], notInWorker?: string[] } {
+    const manifest = join(dartConfig.outDir, `${entry.name}.exports.json`)
+    return JSON.parse(readFileSync(manifest, 'utf-8'))
+  }
+
+  function watchDartSources(server: ViteDevServer) {
+    const changed = new Set<DartEntryConfig>()
+    let timer: ReturnType<typeof setTimeout> | undefined
+    const rebuild = () => {
+      const entries = [...changed]
+      changed.clear()
+      for (const entry of entries) {
+        compiles.delete(bundleFile(entry.name, 'development'))
+        compiles.delete(bundleFile(entry.name, 'production'))
+      }
+      Promise.all(entries.map(entry => compile(entry, 'development'))).then(
+        () => server.ws.send({ type: 'full-reload' }),
+        error => {
+          const { message } = compileError(error)
+          config.logger.error(`[dart] ${message}`, { timestamp: true })
+          server.ws.send({ type: 'error', err: { message, stack: '', plugin: 'dart' } })
+        },
+      )
+    }
+
+    server.watcher.add([...new Set(dartConfig.entries.map(entry => entry.dartDir))])
+    server.watcher.on('all', (_event, file) => {
+      const entries = dartConfig.entries.filter(entry => isSource(entry, file))
+      if (entries.length === 0) return
+      entries.forEach(entry => changed.add(entry))
+      clearTimeout(timer)
+      timer = setTimeout(rebuild, 100)
+    })
+  }
+
+  return {
+    name: 'dart',
+
+    async configResolved(resolved) {
+      config = resolved
+      root = options.root ?? resolve(config.root, '..')
+      scripts = {
+        ...await importScript<ConfigScript>(root, 'config.mjs'),
+        ...await importScript<BundleModuleScript>(root, 'bundle-module.mjs'),
+      }
+      dartConfig = await scripts.loadConfig(root)
+      const bundle = loadEnv(config.mode, config.envDir || config.root).VITE_DART_BUNDLE || 'production'
+      if (bundle !== 'development' && bundle !== 'production') {
+        throw new Error(`Invalid VITE_DART_BUNDLE '${bundle}', expected 'development' or 'production'`)
+      }
+      buildBundle = bundle
+    },
+
+    configureServer(server) {
+      watchDartSources(server)
+      for (const entry of dartConfig.entries) {
+        compile(entry, 'development').catch(error => {
+          config.logger.error(`[dart] ${compileError(error).message}`, { timestamp: true })
+        })
+      }
+
+      const files: Record<string, { entry: DartEntryConfig, bundle: DartBundle, type: string }> = {}
+      for (const entry of dartConfig.entries) {
+        for (const bundle of ['development', 'production'] as const) {
+          const file = bundleFile(entry.name, bundle)
+          files[file] = { entry, bundle, type: 'text/javascript' }
+          files[`${file}.map`] = { entry, bundle, type: 'application/json' }
+        }
+        files[`${entry.name}.exports.json`] = { entry, bundle: 'development', type: 'application/json' }
+      }
+
+      const prefix = `${config.base}dart/`
+      server.middlewares.use(async (req, res, next) => {
+        const path = req.url?.split('?')[0]
+        const file = path?.startsWith(prefix) ? path.slice(prefix.length) : undefined
+        const served = file !== undefined ? files[file] : undefined
+        if (!file || !served) return next()
+
+        try {
+          await compile(served.entry, served.bundle)
+          res.setHeader('Content-Type', served.type)
+          res.setHeader('Cache-Control', 'no-cache')
+          res.end(readFileSync(join(dartConfig.outDir, file)))
+        } catch (error) {
+          res.statusCode = 500
+          res.end(compileError(error).message)
+        }
+      })
+    },
+
+    async buildStart() {
+      if (config.command !== 'build') return
+      for (const entry of dartConfig.entries) {
+        try {
+          await compile(entry, buildBundle)
+        } catch (error) {
+          this.error(compileError(error))
+        }
+
+        const source = readFileSync(output(entry, buildBundle))
+        const hash = createHash('sha256').update(source).digest('hex').slice(0, 8)
+        const asset = `${config.build.assetsDir}/${entry.name}-${hash}.js`
+        builtAssets.set(entry.name, asset)
+        this.emitFile({ type: 'asset', fileName: asset, source })
+        // Development builds keep their source map for remapped stack traces
+        const sourceMap = `${output(entry, buildBundle)}.map`
+        if (buildBundle === 'development' && existsSync(sourceMap)) {
+          this.emitFile({ type: 'asset', fileName: `${asset}.map`, source: readFileSync(sourceMap) })
+        }
+      }
+    },
+
+    transformIndexHtml() {
+      const describe = (entry: DartEntryConfig): EntryBootstrap => {
+        const asset = builtAssets.get(entry.name)
+        if (!asset) {
+          // The dev server serves <entry>.exports.json instead, it may not
+          // exist yet
+          return {
+            bundles: {
+              development: `${config.base}dart/${bundleFile(entry.name, 'development')}`,
+              production: `${config.base}dart/${bundleFile(entry.name, 'production')}`,
+            },
+          }
+        }
+        const { functions, namespace, notInWorker } = exportManifest(entry)
+        return { bundles: { [buildBundle]: config.base + asset }, functions, namespace, notInWorker }
+      }
+
+      const defaultEntry = dartConfig.entries.find(entry => entry.name === DEFAULT_ENTRY)
+      const others = dartConfig.entries.filter(entry => entry !== defaultEntry)
+      const bootstrap = {
+        ...(defaultEntry ? describe(defaultEntry) : { bundles: {} }),
+        ...(others.length > 0 ? { entries: Object.fromEntries(others.map(entry => [entry.name, describe(entry)])) } : {}),
+      }
+
+      const tags: HtmlTagDescriptor[] = [{
+        tag: 'script',
+        children: `globalThis.__DART_BRIDGE__ = ${JSON.stringify(bootstrap)};`,
+        injectTo: 'head-prepend',
+      }]
+      // The other entries are loaded on demand
+      const preloaded = defaultEntry && builtAssets.get(defaultEntry.name)
+      if (preloaded) {
+        tags.push({ tag: 'link', attrs: { rel: 'preload', as: 'script', href: config.base + preloaded }, injectTo: 'head' })
+      }
+      return tags
+    },
+  }
+}
@@ -1,22 +1,22 @@
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
+import { dart } from './vite-plugin-dart'
 
 // https://vite.dev/config/
 export default defineConfig({
-  plugins: [react()],
+  plugins: [react(), dart()],
   
   // Optimize build output
   build: {
     // Increase chunk size warning limit for the Dart compiled JS
     chunkSizeWarningLimit: 1000,
-    
-    rollupOptions: {
-      // Don't bundle the Dart compiled JS into the main bundle
-      // It's loaded separately as a script tag
-      external: [/^\/dart\//],
-    }
   },
   
+  // shared/dartworker.mjs is a module worker using top-level await
+  worker: {
+    format: 'es',
+  },
+
   server: {
     // Open browser automatically in dev mode
     open: true,
@@ -0,0 +1,221 @@
+/**
+ * Node.js module customization hooks for importing .dart files
+ *
+ * Registered by register.mjs. Loading a .dart file compiles it with
+ * `dart compile js` and returns a module exporting the bridge its main()
+ * registers, the same one the dist/interop.mjs wrapper exports:
+ *
+ *   import bridge, { math } from './dart/interop.dart';
+ *
+ * Compiled bundles are cached below node_modules/.cache/dartinjs of the
+ * nearest package, keyed by every Dart source of the Dart package the
+ * imported file belongs to, so only changed sources are compiled again.
+ * Importing one of the entries of dartinjs.config.(mjs|json)
+ * (dart/interop.dart by default) regenerates it from its sources first and
+ * exports the bridge under its namespace; the compiler flags apply to every
+ * .dart import.
+ *
+ * The development bundle is compiled unless NODE_ENV is production;
+ * DART_BUNDLE=development|production overrides it, as in dartloader.mjs.
+ */
+
+import { execFile } from 'child_process';
+import { createHash } from 'crypto';
+import { existsSync, mkdirSync, readdirSync, readFileSync, renameSync, rmSync, statSync } from 'fs';
+import { tmpdir } from 'os';
+import { dirname, join } from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+import { promisify } from 'util';
+import { writeBundleModule } from '../scripts/bundle-module.mjs';
+import { dartSources, jsCompileFlags, loadConfig } from '../scripts/config.mjs';
+
+const run = promisify(execFile);
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const rootDir = join(__dirname, '..');
+const config = await loadConfig();
+
+const BUNDLE_FILES = {
+  development: 'interop.dev.js',
+  production: 'interop.js',
+};
+
+const COMPILE_FLAGS = {
+  development: jsCompileFlags(config, 'development'),
+  production: jsCompileFlags(config, 'production'),
+};
+
+/**
+ * Which bundle to compile, read per import so tests can switch it
+ */
+function selectedBundle() {
+  const bundle = process.env.DART_BUNDLE || (process.env.NODE_ENV === 'production' ? 'production' : 'development');
+  if (bundle !== 'development' && bundle !== 'production') {
+    throw new Error(`Invalid DART_BUNDLE '${bundle}', expected 'development' or 'production'`);
+  }
+  return bundle;
+}
+
+/**
+ * Run a command, on Windows through the shell so dart.bat is found
+ */
+function exec(command, args, cwd) {
+  return run(command, args, {
+    cwd,
+    maxBuffer: 16 * 1024 * 1024,
+    shell: process.platform === 'win32',
+  });
+}
+
+/**
+ * node_modules/.cache/dartinjs of the package containing dir
+ */
+function cacheRoot(dir) {
+  for (let current = dir; ; current = dirname(current)) {
+    if (existsSync(join(current, 'package.json'))) {
+      return join(current, 'node_modules', '.cache', 'dartinjs');
+    }
+    if (dirname(current) === current) {
+      return join(tmpdir(), 'dartinjs');
+    }
+  }
+}
+
+/**
+ * Root of the Dart package containing file: the nearest directory with a
+ * pubspec.yaml, or the directory of file outside of a package
+ */
+function packageDir(file) {
+  for (let current = dirname(file); ; current = dirname(current)) {
+    if (existsSync(join(current, 'pubspec.yaml'))) {
+      return current;
+    }
+    if (dirname(current) === current) {
+      return dirname(file);
+    }
+  }
+}
+
+/**
+ * Hash of the Dart sources of the package at dir, its pubspec files and the
+ * configuration they are compiled with
+ */
+function hashSources(dir, namespace) {
+  const hash = createHash('sha256').update(JSON.stringify([COMPILE_FLAGS, namespace]));
+  for (const file of dartSources(dir)) {
+    hash.update(`${file}\0`).update(readFileSync(join(dir, file))).update('\0');
+  }
+  return hash.digest('hex').slice(0, 16);
+}
+
+function compileError(file, error) {
+  const { stdout, stderr, message } = error;
+  return new Error(`Failed to compile ${file}\n${stdout || stderr || message}`.trim());
+}
+
+/**
+ * Namespace the bridge of file is registered under: its entry's, or the
+ * default one for other Dart files
+ */
+function namespaceOf(file) {
+  return config.entries.find(entry => entry.entry === file)?.namespace ?? config.namespace;
+}
+
+/**
+ * Compile file into the cache unless its sources are unchanged, returning
+ * the cache directory
+ */
+async function compile(file, bundle) {
+  const dir = packageDir(file);
+  const entry = config.entries.find(candidate => candidate.entry === file);
+  if (entry) {
+    await exec(process.execPath, [join(rootDir, 'scripts', 'generate-interop.mjs'), '--entry', entry.name], rootDir);
+  }
+
+  const fileCache = join(cacheRoot(dir), createHash('sha256').update(file).digest('hex').slice(0, 16));
+  const cacheDir = join(fileCache, hashSources(dir, namespaceOf(file)));
+  // Bundles cached before their ES module form was written compile again
+  const output = join(cacheDir, BUNDLE_FILES[bundle].replace(/\.js$/, '.esm.js'));
+  if (existsSync(output)) {
+    return cacheDir;
+  }
+
+  if (existsSync(join(dir, 'pubspec.yaml')) && !existsSync(join(dir, '.dart_tool', 'package_config.json'))) {
+    await exec('dart', ['pub', 'get'], dir);
+  }
+
+  // Compiled in a private directory and moved into place, so processes
+  // importing the same file at once don't see a partial bundle
+  const staging = join(cacheDir, `.${process.pid}`);
+  mkdirSync(staging, { recursive: true });
+  try {
+    await exec('dart', ['compile', 'js', `--output=${join(staging, BUNDLE_FILES[bundle])}`, ...COMPILE_FLAGS[bundle], file], dir);
+    writeBundleModule(join(staging, BUNDLE_FILES[bundle]), namespaceOf(file));
+    await exec(process.execPath, [
+      join(rootDir, 'scripts', 'generate-types.mjs'),
+      '--input', file,
+      '--output', join(staging, 'interop.d.ts'),
+      '--no-dart-types',
+    ], dir);
+    for (const name of readdirSync(staging)) {
+      renameSync(join(staging, name), join(cacheDir, name));
+    }
+  } finally {
+    rmSync(staging, { recursive: true, force: true });
+  }
+
+  // Bundles of older sources are not needed again
+  const compiled = statSync(cacheDir).mtimeMs;
+  for (const entry of readdirSync(fileCache)) {
+    if (join(fileCache, entry) !== cacheDir && isOlderBundle(join(fileCache, entry), compiled)) {
+      rmSync(join(fileCache, entry), { recursive: true, force: true });
+    }
+  }
+  return cacheDir;
+}
+
+/**
+ * Whether the cache directory at path holds a finished compile from before
+ * compiled. Another process may still be compiling into it, with its
+ * staging directory inside, or have just compiled newer sources into it.
+ */
+function isOlderBundle(path, compiled) {
+  try {
+    return statSync(path).mtimeMs < compiled && !readdirSync(path).some(name => name.startsWith('.'));
+  } catch {
+    // Removed by another process meanwhile
+    return false;
+  }
+}
+
+/**
+ * Load hook: compile .dart files and return a module exporting the bridge
+ */
+export async function load(url, context, nextLoad) {
+  if (!url.startsWith('file:') || !url.endsWith('.dart')) {
+    return nextLoad(url, context);
+  }
+
+  const file = fileURLToPath(url);
+  const bundle = selectedBundle();
+  let cacheDir;
+  try {
+    cacheDir = await compile(file, bundle);
+  } catch (error) {
+    throw compileError(file, error);
+  }
+
+  // generate-types.mjs writes no wrapper for Dart files without bridge
+  // functions, their bridge is only the default export
+  const wrapper = join(cacheDir, BUNDLE_FILES[bundle].replace(/\.js$/, '.mjs'));
+  const module = join(cacheDir, BUNDLE_FILES[bundle].replace(/\.js$/, '.esm.js'));
+  const source = existsSync(wrapper)
+    ? `export * from ${JSON.stringify(pathToFileURL(wrapper).href)};
+export { default } from ${JSON.stringify(pathToFileURL(wrapper).href)};
+`
+    : `import createBridge from ${JSON.stringify(pathToFileURL(module).href)};
+export default createBridge();
+`;
+
+  return { format: 'module', source, shortCircuit: true };
+}
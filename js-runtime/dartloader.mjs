@@ -1,22 +1,34 @@
 /**
  * Dart Bridge Loader for Node.js/Bun
  * 
- * This script properly initializes the dartbridge namespace
- * and loads the Dart compiled code in the correct order.
+ * This script loads the Dart compiled code, which creates the
+ * dartbridge namespace (and any nested namespaces) itself.
+ *
+ * The bundle is read from the outDir of dartinjs.config.(mjs|json) and the
+ * bridge from the namespace its entry registers, see scripts/config.mjs.
+ *
+ * The development build (asserts, readable names) is loaded unless
+ * NODE_ENV is production; DART_BUNDLE=development|production overrides it.
  */
 
-// Step 1: Initialize the dartbridge namespace in globalThis
-// This MUST happen before importing the Dart compiled code
-if (typeof globalThis.dartbridge === 'undefined') {
-  globalThis.dartbridge = {};
+import { join } from 'path';
+import { pathToFileURL } from 'url';
+import { DEFAULT_ENTRY, loadConfig } from '../scripts/config.mjs';
+
+const bundle = process.env.DART_BUNDLE || (process.env.NODE_ENV === 'production' ? 'production' : 'development');
+if (bundle !== 'development' && bundle !== 'production') {
+  throw new Error(`Invalid DART_BUNDLE '${bundle}', expected 'development' or 'production'`);
 }
 
-// Step 2: Load the Dart compiled JavaScript
-// We use dynamic import to ensure the namespace is set up first
-await import('../dist/interop.js');
+const config = await loadConfig();
+const entry = config.entries.find(({ name }) => name === DEFAULT_ENTRY) ?? config.entries[0];
+
+// Step 1: Load the Dart compiled JavaScript
+const file = bundle === 'development' ? `${entry.name}.dev.js` : `${entry.name}.js`;
+await import(pathToFileURL(join(config.outDir, file)).href);
 
-// Step 3: Export the dartbridge for convenient access
-export const dartbridge = globalThis.dartbridge;
+// Step 2: Export the dartbridge for convenient access
+export const dartbridge = globalThis[entry.namespace];
 
 // Default export for direct imports
 export default dartbridge;
@@ -3,7 +3,13 @@
  * 
  * This is a compatibility shim that uses the shared dartloader.
  * For new code, prefer importing from '../shared/dartloader.ts'
+ *
+ * Its default export is the bridge, loaded when this module is imported
+ * (top-level await); shared/dartloader.ts itself loads nothing until asked.
  */
 
-export { getDartBridge, initDartBridge } from '../shared/dartloader.js';
-export { default } from '../shared/dartloader.js';
+import { initDartBridge } from '../shared/dartloader.js';
+
+export { getDartBridge, initDartBridge, loadDartBridge } from '../shared/dartloader.js';
+
+export default await initDartBridge();
@@ -25,7 +25,7 @@ console.log('\n2. Testing QuickSort:');
 const unsorted = [64, 34, 25, 12, 22, 11, 90, 88, 45, 50, 23, 36, 18, 77];
 console.log('Before sorting:', unsorted);
 
-const sorted = dartbridge.quickSort(unsorted, 0, unsorted.length - 1);
+const sorted = dartbridge.math.quickSort(unsorted, 0, unsorted.length - 1);
 console.log('After sorting:', sorted);
 
 // Example 3: Sort with edge cases
@@ -34,14 +34,14 @@ const empty = [];
 const single = [42];
 const duplicate = [5, 2, 8, 2, 9, 1, 5];
 
-console.log('Empty array:', dartbridge.quickSort(empty, 0, Math.max(0, empty.length - 1)));
-console.log('Single element:', dartbridge.quickSort(single, 0, single.length - 1));
-console.log('With duplicates:', dartbridge.quickSort(duplicate, 0, duplicate.length - 1));
+console.log('Empty array:', dartbridge.math.quickSort(empty, 0, Math.max(0, empty.length - 1)));
+console.log('Single element:', dartbridge.math.quickSort(single, 0, single.length - 1));
+console.log('With duplicates:', dartbridge.math.quickSort(duplicate, 0, duplicate.length - 1));
 
 // Example 4: Async operation - fetch data
 console.log('\n4. Testing async fetch (requires internet):');
 try {
-  const data = await dartbridge.fetchData();
+  const data = await dartbridge.net.fetchData();
   console.log('Fetched data length:', data.length, 'characters');
   
   // Parse JSON data
@@ -49,7 +49,11 @@ try {
   console.log('Parsed data keys:', Object.keys(parsed).slice(0, 5));
   console.log('Data sample:', JSON.stringify(parsed).substring(0, 200) + '...');
 } catch (error) {
-  console.error('Fetch error:', error.message);
+  if (error instanceof dartbridge.DartBridgeError) {
+    console.error(`Fetch error (${error.dartType}):`, error.message);
+  } else {
+    console.error('Fetch error:', error.message);
+  }
 }
 
 // Example 5: Performance test
@@ -58,13 +62,21 @@ const largeArray = Array.from({ length: 10000 }, () => Math.floor(Math.random()
 console.log('Sorting', largeArray.length, 'elements...');
 
 const startTime = performance.now();
-const sortedLarge = dartbridge.quickSort(largeArray, 0, largeArray.length - 1);
+const sortedLarge = dartbridge.math.quickSort(largeArray, 0, largeArray.length - 1);
 const endTime = performance.now();
 
 console.log('Sorted in', (endTime - startTime).toFixed(2), 'ms');
 console.log('First 10 elements:', sortedLarge.slice(0, 10));
 console.log('Last 10 elements:', sortedLarge.slice(-10));
 
+// Typed arrays are shared with Dart, so nothing is copied across the bridge
+const typedArray = Int32Array.from(largeArray);
+const typedStart = performance.now();
+dartbridge.math.quickSortInt32(typedArray);
+const typedEnd = performance.now();
+
+console.log('Sorted Int32Array in place in', (typedEnd - typedStart).toFixed(2), 'ms');
+
 // Example 6: Using TypeScript types (if using TypeScript)
 console.log('\n6. TypeScript Integration:');
 console.log('When using TypeScript, import the types:');
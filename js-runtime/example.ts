@@ -26,7 +26,7 @@ const unsorted: number[] = [64, 34, 25, 12, 22, 11, 90, 88, 45, 50, 23, 36, 18,
 console.log('Before sorting:', unsorted);
 
 // TypeScript knows: quickSort(list: number[], low: number, high: number): number[]
-const sorted: number[] = dartbridge.quickSort(unsorted, 0, unsorted.length - 1);
+const sorted: number[] = dartbridge.math.quickSort(unsorted, 0, unsorted.length - 1);
 console.log('After sorting:', sorted);
 
 // Example 3: Sort with edge cases (type-checked)
@@ -35,14 +35,14 @@ const empty: number[] = [];
 const single: number[] = [42];
 const duplicate: number[] = [5, 2, 8, 2, 9, 1, 5];
 
-console.log('Empty array:', dartbridge.quickSort(empty, 0, Math.max(0, empty.length - 1)));
-console.log('Single element:', dartbridge.quickSort(single, 0, single.length - 1));
-console.log('With duplicates:', dartbridge.quickSort(duplicate, 0, duplicate.length - 1));
+console.log('Empty array:', dartbridge.math.quickSort(empty, 0, Math.max(0, empty.length - 1)));
+console.log('Single element:', dartbridge.math.quickSort(single, 0, single.length - 1));
+console.log('With duplicates:', dartbridge.math.quickSort(duplicate, 0, duplicate.length - 1));
 
 // Example 4: Async operation - fetch data (TypeScript knows it returns Promise<string>)
 console.log('\n4. Testing async fetch (requires internet):');
 try {
-  const data: string = await dartbridge.fetchData(); // Type: Promise<string>
+  const data: string = await dartbridge.net.fetchData(); // Type: Promise<string>
   console.log('Fetched data length:', data.length, 'characters');
   
   // Parse JSON data
@@ -50,7 +50,11 @@ try {
   console.log('Parsed data keys:', Object.keys(parsed).slice(0, 5));
   console.log('Data sample:', JSON.stringify(parsed).substring(0, 200) + '...');
 } catch (error) {
-  console.error('Fetch error:', (error as Error).message);
+  if (error instanceof dartbridge.DartBridgeError) {
+    console.error(`Fetch error (${error.dartType}):`, error.message); // Type: DartBridgeError
+  } else {
+    console.error('Fetch error:', (error as Error).message);
+  }
 }
 
 // Example 5: Performance test with type safety
@@ -59,13 +63,21 @@ const largeArray: number[] = Array.from({ length: 10000 }, () => Math.floor(Math
 console.log('Sorting', largeArray.length, 'elements...');
 
 const startTime = performance.now();
-const sortedLarge: number[] = dartbridge.quickSort(largeArray, 0, largeArray.length - 1);
+const sortedLarge: number[] = dartbridge.math.quickSort(largeArray, 0, largeArray.length - 1);
 const endTime = performance.now();
 
 console.log('Sorted in', (endTime - startTime).toFixed(2), 'ms');
 console.log('First 10 elements:', sortedLarge.slice(0, 10));
 console.log('Last 10 elements:', sortedLarge.slice(-10));
 
+// Typed arrays are shared with Dart, so nothing is copied across the bridge
+const typedArray: Int32Array = Int32Array.from(largeArray);
+const typedStart = performance.now();
+dartbridge.math.quickSortInt32(typedArray);
+const typedEnd = performance.now();
+
+console.log('Sorted Int32Array in place in', (typedEnd - typedStart).toFixed(2), 'ms');
+
 // Example 6: Type checking prevents errors!
 console.log('\n6. TypeScript Benefits:');
 console.log('✓ IDE autocomplete for all Dart functions');
@@ -74,8 +86,8 @@ console.log('✓ Prevents runtime errors');
 console.log('✓ Better refactoring support');
 
 // Uncomment to see TypeScript errors:
-// dartbridge.quickSort("not a number array", 0, 5); // ❌ Error: string[] not assignable to number[]
-// dartbridge.quickSort([1, 2, 3], "not a number", 2); // ❌ Error: string not assignable to number
+// dartbridge.math.quickSort("not a number array", 0, 5); // ❌ Error: string[] not assignable to number[]
+// dartbridge.math.quickSort([1, 2, 3], "not a number", 2); // ❌ Error: string not assignable to number
 // const wrongType: number = dartbridge.functionName(); // ❌ Error: void not assignable to number
 
 console.log('\n' + '='.repeat(60));
@@ -0,0 +1,12 @@
+/**
+ * Register the .dart import hooks of dart-hooks.mjs
+ *
+ *   node --import dartinjs/register script.mjs
+ *   npx tsx --import dartinjs/register script.ts
+ *
+ * Needs Node.js 18.19 or 20.6 and later, and the Dart SDK on PATH.
+ */
+
+import { register } from 'module';
+
+register('./dart-hooks.mjs', import.meta.url);
@@ -3,18 +3,39 @@
 /**
  * Cross-platform build script for compiling Dart to JavaScript
  * Works on Windows, macOS, and Linux with Node.js, Yarn, or Bun
+ *
+ * --target js (default) builds dist/interop.js and dist/interop.dev.js,
+ * --target both also builds dist/wasm/interop.wasm with dart2wasm.
+ * --target wasm is the same as both: the loaders fall back to the JS
+ * bundles, and interop.dev.mjs and development loads import interop.dev.js.
+ *
+ * The entries, output directory, optimization level, extra compiler flags
+ * and directories to copy the bundles into come from
+ * dartinjs.config.(mjs|json), see config.mjs. Each entry is built into its
+ * own <name>.js, <name>.dev.js and wasm/<name>.wasm.
+ *
+ * Usage: node scripts/build-dart.mjs [--target js|wasm|both]
  */
 
 import { execSync, spawn } from 'child_process';
-import { existsSync, mkdirSync, copyFileSync, statSync } from 'fs';
-import { join, dirname } from 'path';
+import { copyFileSync, existsSync, mkdirSync, readdirSync, statSync } from 'fs';
+import { join, dirname, relative } from 'path';
 import { fileURLToPath } from 'url';
+import { writeBundleModule } from './bundle-module.mjs';
+import { jsCompileFlags, loadConfigOrExit } from './config.mjs';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 const rootDir = join(__dirname, '..');
-const dartDir = join(rootDir, 'dart');
-const distDir = join(rootDir, 'dist');
+const config = await loadConfigOrExit();
+const distDir = config.outDir;
+// dart compile wasm writes its JS glue next to the .wasm as interop.mjs,
+// which would replace the ES module wrapper in dist/
+const wasmDir = join(distDir, 'wasm');
+
+const TARGETS = ['js', 'wasm', 'both'];
+const targetIndex = process.argv.indexOf('--target');
+const target = targetIndex === -1 ? 'js' : process.argv[targetIndex + 1];
 
 // ANSI color codes for cross-platform colored output
 const colors = {
@@ -85,11 +106,79 @@ function getFileSize(filePath) {
   }
 }
 
+/**
+ * Path relative to the repository root, for messages
+ */
+function display(path) {
+  return relative(rootDir, path).replace(/\\/g, '/');
+}
+
+/**
+ * Copy the built bundles, their source maps and export manifests into
+ * targetDir, the wasm build into targetDir/wasm
+ */
+function copyOutputs(targetDir) {
+  const bundleFiles = config.entries.flatMap(({ name }) =>
+    [`${name}.js`, `${name}.js.map`, `${name}.dev.js`, `${name}.dev.js.map`, `${name}.exports.json`]);
+  mkdirSync(targetDir, { recursive: true });
+  for (const file of bundleFiles) {
+    if (existsSync(join(distDir, file))) {
+      copyFileSync(join(distDir, file), join(targetDir, file));
+    }
+  }
+  if (existsSync(wasmDir)) {
+    mkdirSync(join(targetDir, 'wasm'), { recursive: true });
+    for (const file of readdirSync(wasmDir)) {
+      copyFileSync(join(wasmDir, file), join(targetDir, 'wasm', file));
+    }
+  }
+}
+
+/**
+ * Compile one entry point into its bundles
+ */
+function compileEntry({ name, entry, namespace }, buildWasm) {
+  // Compile Dart to JavaScript (production)
+  logInfo(`\nCompiling ${display(entry)} (production)...`);
+  const productionFlags = jsCompileFlags(config, 'production').join(' ');
+  exec(`dart compile js --output=${join(distDir, `${name}.js`)} ${productionFlags} ${entry}`, { 
+    stdio: 'inherit' 
+  });
+  writeBundleModule(join(distDir, `${name}.js`), namespace);
+
+  // Compile Dart to JavaScript (development with source maps)
+  logInfo(`\nGenerating source maps for ${display(entry)} (development)...`);
+  const developmentFlags = jsCompileFlags(config, 'development').join(' ');
+  exec(`dart compile js --output=${join(distDir, `${name}.dev.js`)} ${developmentFlags} ${entry}`, { 
+    stdio: 'inherit' 
+  });
+  writeBundleModule(join(distDir, `${name}.dev.js`), namespace);
+
+  // Compile Dart to WebAssembly, loaded where WasmGC is supported
+  if (buildWasm) {
+    logInfo(`\nCompiling ${display(entry)} (WebAssembly)...`);
+    mkdirSync(wasmDir, { recursive: true });
+    exec(`dart compile wasm --output=${join(wasmDir, `${name}.wasm`)} ${config.wasmFlags.join(' ')} ${entry}`, {
+      stdio: 'inherit'
+    });
+    // loadDartBridge() looks for the functions to wait for next to the bundle
+    if (existsSync(join(distDir, `${name}.exports.json`))) {
+      copyFileSync(join(distDir, `${name}.exports.json`), join(wasmDir, `${name}.exports.json`));
+    }
+  }
+}
+
 /**
  * Main build function
  */
 async function build() {
-  logSuccess('Building Dart to JavaScript...\n');
+  if (!TARGETS.includes(target)) {
+    logError(`Invalid --target '${target}', expected ${TARGETS.join(', ')}`);
+    process.exit(1);
+  }
+  const buildWasm = target !== 'js';
+
+  logSuccess(buildWasm ? 'Building Dart to WebAssembly and JavaScript...\n' : 'Building Dart to JavaScript...\n');
 
   // Create dist directory
   if (!existsSync(distDir)) {
@@ -111,57 +200,62 @@ async function build() {
     // dart --version outputs to stderr, so we ignore the error
   }
 
-  // Install/update Dart dependencies
-  logInfo('\nInstalling Dart dependencies...');
-  exec('dart pub get', { cwd: dartDir, stdio: 'inherit' });
+  // Install/update Dart dependencies of every package with an entry
+  for (const dartDir of new Set(config.entries.map(entry => entry.dartDir))) {
+    logInfo(`\nInstalling Dart dependencies in ${display(dartDir)}...`);
+    exec('dart pub get', { cwd: dartDir, stdio: 'inherit' });
+  }
+
+  const runtime = commandExists('bun') ? 'bun' : commandExists('deno') ? 'deno' : 'node';
+
+  // Generate interop.dart from @BridgeExport() functions
+  logInfo('\nGenerating Dart interop bindings...');
+  exec(`${runtime} scripts/generate-interop.mjs`, { stdio: 'inherit' });
 
   // Generate TypeScript definitions
   logInfo('\nGenerating TypeScript definitions...');
-  const runtime = commandExists('bun') ? 'bun' : commandExists('deno') ? 'deno' : 'node';
   try {
     exec(`${runtime} scripts/generate-types.mjs`, { stdio: 'inherit' });
   } catch (error) {
     logInfo('Warning: TypeScript generation failed, continuing with build...');
   }
 
-  // Compile Dart to JavaScript (production)
-  logInfo('\nCompiling dart/interop.dart (production)...');
-  exec(`dart compile js --output=${join(distDir, 'interop.js')} --minify -O4 ${join(dartDir, 'interop.dart')}`, { 
-    stdio: 'inherit' 
-  });
-
-  // Compile Dart to JavaScript (development with source maps)
-  logInfo('\nGenerating source maps (development)...');
-  exec(`dart compile js --output=${join(distDir, 'interop.dev.js')} --enable-asserts ${join(dartDir, 'interop.dart')}`, { 
-    stdio: 'inherit' 
-  });
+  for (const entry of config.entries) {
+    compileEntry(entry, buildWasm);
+  }
 
-  // Copy to browser app if directory exists
-  const browserPublicDir = join(rootDir, 'dartonbrowser', 'public', 'dart');
-  if (existsSync(join(rootDir, 'dartonbrowser', 'public'))) {
-    logInfo('\nCopying compiled JS to browser app...');
-    mkdirSync(browserPublicDir, { recursive: true });
-    copyFileSync(
-      join(distDir, 'interop.js'),
-      join(browserPublicDir, 'interop.js')
-    );
-    copyFileSync(
-      join(distDir, 'interop.dev.js'),
-      join(browserPublicDir, 'interop.dev.js')
-    );
+  // Copy the bundles where the configuration asks for them
+  for (const targetDir of config.copy) {
+    logInfo(`\nCopying compiled bundles to ${display(targetDir)}...`);
+    copyOutputs(targetDir);
   }
 
   // Success summary
+  const out = display(distDir);
   logSuccess('\n✓ Build completed successfully!\n');
   console.log('Output files:');
-  console.log(`  - ${colors.green}dist/interop.js${colors.reset} (production build)`);
-  console.log(`  - ${colors.green}dist/interop.dev.js${colors.reset} (development build)`);
-  console.log(`  - ${colors.green}dist/interop.d.ts${colors.reset} (TypeScript definitions)`);
+  for (const { name } of config.entries) {
+    console.log(`  - ${colors.green}${out}/${name}.js${colors.reset} (production build)`);
+    console.log(`  - ${colors.green}${out}/${name}.dev.js${colors.reset} (development build)`);
+    if (buildWasm) {
+      console.log(`  - ${colors.green}${out}/wasm/${name}.wasm${colors.reset}, ${colors.green}${out}/wasm/${name}.mjs${colors.reset} (WebAssembly build and its loader)`);
+    }
+    console.log(`  - ${colors.green}${out}/${name}.d.ts${colors.reset} (TypeScript definitions)`);
+    console.log(`  - ${colors.green}${out}/${name}.mjs${colors.reset}, ${colors.green}${out}/${name}.dev.mjs${colors.reset} (ES modules, with .d.mts)`);
+    console.log(`  - ${colors.green}${out}/${name}.esm.js${colors.reset}, ${colors.green}${out}/${name}.dev.esm.js${colors.reset} (bundles as ES modules, loaded by the .mjs)`);
+    console.log(`  - ${colors.green}${out}/${name}.exports.json${colors.reset} (functions registered by main())`);
+  }
+  console.log(`  - ${colors.green}${out}/bridges.d.ts${colors.reset} (bridge types by entry name)`);
 
   // Display file sizes
   logInfo('\nFile sizes:');
-  console.log(`  dist/interop.js: ${getFileSize(join(distDir, 'interop.js'))}`);
-  console.log(`  dist/interop.dev.js: ${getFileSize(join(distDir, 'interop.dev.js'))}`);
+  for (const { name } of config.entries) {
+    console.log(`  ${out}/${name}.js: ${getFileSize(join(distDir, `${name}.js`))}`);
+    console.log(`  ${out}/${name}.dev.js: ${getFileSize(join(distDir, `${name}.dev.js`))}`);
+    if (buildWasm) {
+      console.log(`  ${out}/wasm/${name}.wasm: ${getFileSize(join(wasmDir, `${name}.wasm`))}`);
+    }
+  }
 }
 
 // Run the build
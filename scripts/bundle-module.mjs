@@ -0,0 +1,82 @@
+/**
+ * ES module form of a compiled dart2js bundle
+ *
+ * dart compile js writes a classic script whose main() registers the bridge
+ * on the global object. <bundle>.esm.js wraps that script in a function,
+ * createBridge(), which runs it with a global scope of its own in front of
+ * globalThis: reads fall through to the real globals, writes stay in the
+ * scope, and the bridge is returned instead of left on globalThis.
+ * Importing the module runs nothing, so the ES module wrappers written by
+ * generate-types.mjs only load the bundle when first called.
+ *
+ * The script keeps its line numbers, so its source map still applies.
+ *
+ * Used by build-dart.mjs, js-runtime/dart-hooks.mjs and the Vite plugin.
+ */
+
+import { readFileSync, writeFileSync } from 'fs';
+
+/**
+ * Path of the ES module form of the bundle at bundlePath
+ */
+export function bundleModulePath(bundlePath) {
+  return bundlePath.replace(/\.js$/, '.esm.js');
+}
+
+/**
+ * The ES module form of the bundle source, returning the bridge main()
+ * registers on namespace
+ */
+export function bundleModule(source, namespace) {
+  // Everything before the script stays on its first line
+  return `export default function createBridge() { return runInScope(function (globalThis, self, window) {${source}
+}, ${JSON.stringify(namespace)}); }
+
+/**
+ * Run the bundle with a global object of its own and return the bridge it
+ * registered on namespace
+ */
+function runInScope(bundle, namespace) {
+  const scope = {};
+  const bound = new Map();
+  const global = new Proxy(globalThis, {
+    has: (target, key) => key in scope || (key !== namespace && key in target),
+    get: (target, key) => {
+      if (key in scope) return scope[key];
+      if (key === namespace) return undefined;
+      if (key === 'globalThis' || key === 'self' || key === 'window') {
+        return key in target ? global : undefined;
+      }
+      // Functions like setTimeout throw unless called on the real global
+      const value = target[key];
+      if (typeof value !== 'function' || typeof key !== 'string' || !/^[a-z]/.test(key)) {
+        return value;
+      }
+      if (!bound.has(value)) bound.set(value, value.bind(target));
+      return bound.get(value);
+    },
+    set: (target, key, value) => {
+      scope[key] = value;
+      return true;
+    },
+    defineProperty: (target, key, descriptor) => Reflect.defineProperty(scope, key, descriptor),
+    deleteProperty: (target, key) => Reflect.deleteProperty(scope, key),
+  });
+  bundle(
+    global,
+    typeof self === 'undefined' ? undefined : global,
+    typeof window === 'undefined' ? undefined : global,
+  );
+  return scope[namespace];
+}
+`;
+}
+
+/**
+ * Write the ES module form of the bundle at bundlePath next to it
+ */
+export function writeBundleModule(bundlePath, namespace) {
+  const modulePath = bundleModulePath(bundlePath);
+  writeFileSync(modulePath, bundleModule(readFileSync(bundlePath, 'utf-8'), namespace), 'utf-8');
+  return modulePath;
+}
@@ -2,17 +2,27 @@
 
 /**
  * Cross-platform clean script
- * Removes build artifacts
+ * Removes build artifacts: the outDir of dartinjs.config.(mjs|json) and
+ * the bundles build-dart.mjs copied into its copy directories
  */
 
 import { rmSync, existsSync } from 'fs';
-import { join, dirname } from 'path';
+import { join, dirname, relative } from 'path';
 import { fileURLToPath } from 'url';
 import { globSync } from 'glob';
+import { loadConfigOrExit } from './config.mjs';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 const rootDir = join(__dirname, '..');
+const config = await loadConfigOrExit();
+
+// What build-dart.mjs copies into each copy directory for every entry
+const COPIED_FILES = [
+  ...config.entries.flatMap(({ name }) =>
+    [`${name}.js`, `${name}.js.map`, `${name}.dev.js`, `${name}.dev.js.map`, `${name}.exports.json`]),
+  'wasm',
+];
 
 const colors = {
   reset: '\x1b[0m',
@@ -26,11 +36,27 @@ function log(message, color = colors.reset) {
 
 log('Cleaning build artifacts...', colors.yellow);
 
-// Remove dist directory
-const distDir = join(rootDir, 'dist');
+// Remove the output directory
+const distDir = config.outDir;
 if (existsSync(distDir)) {
   rmSync(distDir, { recursive: true, force: true });
-  log('✓ Removed dist/', colors.green);
+  log(`✓ Removed ${relative(rootDir, distDir)}/`, colors.green);
+}
+
+// Remove the copies, leaving anything else in those directories
+for (const copyDir of config.copy) {
+  const copied = COPIED_FILES.filter(file => existsSync(join(copyDir, file)));
+  copied.forEach(file => rmSync(join(copyDir, file), { recursive: true, force: true }));
+  if (copied.length > 0) {
+    log(`✓ Removed compiled bundles from ${relative(rootDir, copyDir)}/`, colors.green);
+  }
+}
+
+// Remove bundles compiled by the .dart import hook
+const hookCacheDir = join(rootDir, 'node_modules', '.cache', 'dartinjs');
+if (existsSync(hookCacheDir)) {
+  rmSync(hookCacheDir, { recursive: true, force: true });
+  log('✓ Removed node_modules/.cache/dartinjs/', colors.green);
 }
 
 // Remove compiled JS files in root
@@ -56,11 +82,4 @@ if (filesRemoved > 0) {
   log(`✓ Removed ${filesRemoved} compiled files`, colors.green);
 }
 
-// Remove browser app compiled dart
-const browserDartDir = join(rootDir, 'dartonbrowser', 'public', 'dart');
-if (existsSync(browserDartDir)) {
-  rmSync(browserDartDir, { recursive: true, force: true });
-  log('✓ Removed dartonbrowser/public/dart/', colors.green);
-}
-
 log('\n✓ Clean completed!', colors.green);
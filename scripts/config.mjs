@@ -0,0 +1,328 @@
+/**
+ * Project configuration for the build scripts
+ *
+ * Read from dartinjs.config.mjs (default export) or dartinjs.config.json in
+ * the repository root; every option is optional:
+ *
+ * ```js
+ * // dartinjs.config.mjs
+ * export default {
+ *   entry: 'dart/interop.dart',
+ *   outDir: 'dist',
+ *   optimization: 4,
+ *   minify: true,
+ *   jsFlags: ['--no-source-maps'],
+ *   wasmFlags: [],
+ *   copy: ['site/public/dart'],
+ *   namespace: 'dartbridge',
+ * };
+ * ```
+ *
+ * entry and namespace describe the one entry point, named interop; for
+ * several independent bridges list them in entries instead, each compiled
+ * to its own <name>.js, <name>.d.ts and <name>.mjs:
+ *
+ * ```js
+ * export default {
+ *   entries: {
+ *     interop: { entry: 'dart/interop.dart', namespace: 'dartbridge' },
+ *     sorting: { entry: 'dart/sorting.dart', sources: ['quick.dart', 'stats.dart'] },
+ *   },
+ * };
+ * ```
+ *
+ * sources are the files next to the entry scanned for @BridgeExport()
+ * (default: all but bridge.dart and the entries), namespace defaults to the
+ * entry name.
+ *
+ * Used by build-dart.mjs, generate-interop.mjs, generate-types.mjs,
+ * watch-dart.mjs, clean.mjs, the .dart import hook and the Vite plugin,
+ * which also share the compiler flags and source lists below.
+ */
+
+import { existsSync, readdirSync, readFileSync } from 'fs';
+import { dirname, join, resolve } from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+const rootDir = join(__dirname, '..');
+
+export const CONFIG_FILES = ['dartinjs.config.mjs', 'dartinjs.config.json'];
+
+const isString = value => typeof value === 'string' && value !== '';
+const isStringArray = value => Array.isArray(value) && value.every(isString);
+const isIdentifier = value => typeof value === 'string' && /^[A-Za-z_$][\w$]*$/.test(value);
+const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// Name of the entry point described by the top-level entry and namespace
+export const DEFAULT_ENTRY = 'interop';
+
+/**
+ * Options with their check, the expectation named in errors and the default
+ */
+const SCHEMA = {
+  entry: {
+    check: isString,
+    expected: 'a path to the generated interop file, e.g. "dart/interop.dart"',
+    default: 'dart/interop.dart',
+    path: true,
+  },
+  outDir: {
+    check: isString,
+    expected: 'a directory path',
+    default: 'dist',
+    path: true,
+  },
+  optimization: {
+    check: value => Number.isInteger(value) && value >= 0 && value <= 4,
+    expected: 'an integer from 0 to 4',
+    default: 4,
+  },
+  minify: {
+    check: value => typeof value === 'boolean',
+    expected: 'true or false',
+    default: true,
+  },
+  jsFlags: {
+    check: isStringArray,
+    expected: 'an array of dart compile js flags',
+    default: [],
+  },
+  wasmFlags: {
+    check: isStringArray,
+    expected: 'an array of dart compile wasm flags',
+    default: [],
+  },
+  copy: {
+    check: isStringArray,
+    expected: 'an array of directory paths',
+    default: [],
+    path: true,
+  },
+  namespace: {
+    check: isIdentifier,
+    expected: 'a JavaScript identifier, e.g. "dartbridge"',
+    default: 'dartbridge',
+  },
+  entries: {
+    check: value => isObject(value) && Object.keys(value).length > 0,
+    expected: 'an object of entry points by name',
+    default: null,
+  },
+};
+
+/**
+ * Options of one of the entries, the namespace defaults to the entry name
+ */
+const ENTRY_SCHEMA = {
+  entry: {
+    check: isString,
+    expected: 'a path to the generated interop file, e.g. "dart/sorting.dart"',
+    required: true,
+    path: true,
+  },
+  namespace: {
+    check: isIdentifier,
+    expected: 'a JavaScript identifier',
+  },
+  sources: {
+    check: value => isStringArray(value) && value.every(file => file.endsWith('.dart') && !/[\\/]/.test(file)),
+    expected: 'an array of .dart file names next to the entry',
+    default: null,
+  },
+};
+
+/**
+ * Error in the configuration file, listing every problem found
+ */
+export class ConfigError extends Error {
+  constructor(file, problems) {
+    super(`Invalid ${file}:\n${problems.map(problem => `  - ${problem}`).join('\n')}`);
+    this.name = 'ConfigError';
+  }
+}
+
+function describe(value) {
+  return value === undefined ? 'undefined' : JSON.stringify(value);
+}
+
+/**
+ * Check the options in raw against schema, adding what is wrong to
+ * problems, and return them with defaults filled in and paths resolved
+ */
+function checkOptions(raw, schema, prefix, root, problems) {
+  for (const key of Object.keys(raw)) {
+    if (!(key in schema)) {
+      problems.push(`unknown option '${prefix}${key}', expected one of: ${Object.keys(schema).join(', ')}`);
+    }
+  }
+
+  const options = {};
+  for (const [key, option] of Object.entries(schema)) {
+    // An explicit null is checked like any other value
+    const value = key in raw ? raw[key] : option.default;
+    if (value === undefined || (value === null && !(key in raw))) {
+      if (option.required) {
+        problems.push(`'${prefix}${key}' is required`);
+      }
+      options[key] = null;
+      continue;
+    }
+    if (!option.check(value)) {
+      problems.push(`'${prefix}${key}' must be ${option.expected}, got ${describe(value)}`);
+      continue;
+    }
+    options[key] = !option.path ? value
+      : Array.isArray(value) ? value.map(path => resolve(root, path))
+      : resolve(root, value);
+  }
+  return options;
+}
+
+/**
+ * The entry points, from entries or else the top-level entry and namespace
+ */
+function checkEntries(raw, config, root, problems) {
+  if (!raw.entries) {
+    return [{ name: DEFAULT_ENTRY, entry: config.entry, namespace: config.namespace, sources: null }];
+  }
+  if (raw.entry !== undefined || raw.namespace !== undefined) {
+    problems.push(`'entry' and 'namespace' can't be combined with 'entries', move them into entries.${DEFAULT_ENTRY}`);
+  }
+
+  const entries = [];
+  for (const [name, rawEntry] of Object.entries(raw.entries)) {
+    if (!/^[A-Za-z_][\w-]*$/.test(name)) {
+      problems.push(`entry name '${name}' must start with a letter and only contain letters, digits, '_' and '-'`);
+    } else if (!isObject(rawEntry)) {
+      problems.push(`'entries.${name}' must be an object with an entry path, got ${describe(rawEntry)}`);
+    } else {
+      const entry = checkOptions(rawEntry, ENTRY_SCHEMA, `entries.${name}.`, root, problems);
+      entries.push({ name, ...entry, namespace: entry.namespace ?? name });
+    }
+  }
+
+  // Entries share the global object and the output directory
+  for (const [index, entry] of entries.entries()) {
+    const clash = entries.slice(0, index).find(other =>
+      other.entry === entry.entry || other.namespace === entry.namespace);
+    if (clash) {
+      const what = clash.entry === entry.entry ? 'entry file' : `namespace '${entry.namespace}'`;
+      problems.push(`entries '${clash.name}' and '${entry.name}' use the same ${what}`);
+    } else if (entry.namespace && !isIdentifier(entry.namespace)) {
+      problems.push(`'entries.${entry.name}.namespace' must be a JavaScript identifier, '${entry.name}' is not one`);
+    }
+  }
+  return entries;
+}
+
+/**
+ * Check a parsed configuration against SCHEMA and fill in the defaults,
+ * with paths resolved against the repository root
+ *
+ * The result lists the entry points in entries, each with its name, entry,
+ * namespace, sources (null for all) and dartDir.
+ */
+export function validateConfig(raw, file = 'configuration', root = rootDir) {
+  if (!isObject(raw)) {
+    throw new ConfigError(file, [`expected an object, got ${describe(raw)}`]);
+  }
+
+  const problems = [];
+  const config = checkOptions(raw, SCHEMA, '', root, problems);
+  if (config.entries !== undefined) {
+    config.entries = checkEntries(raw, config, root, problems);
+  }
+
+  if (problems.length > 0) {
+    throw new ConfigError(file, problems);
+  }
+  config.entries = config.entries.map(entry => ({ ...entry, dartDir: dirname(entry.entry) }));
+  return config;
+}
+
+/**
+ * Read and validate the configuration file in root, or the defaults if
+ * there is none
+ */
+export async function loadConfig(root = rootDir) {
+  const found = CONFIG_FILES.filter(file => existsSync(join(root, file)));
+  if (found.length > 1) {
+    throw new ConfigError(found[0], [`found both ${found.join(' and ')}, keep only one`]);
+  }
+
+  const [file] = found;
+  if (!file) {
+    return validateConfig({}, 'configuration', root);
+  }
+
+  let raw;
+  if (file.endsWith('.json')) {
+    try {
+      raw = JSON.parse(readFileSync(join(root, file), 'utf-8'));
+    } catch (error) {
+      throw new ConfigError(file, [`not valid JSON: ${error.message}`]);
+    }
+  } else {
+    raw = (await import(pathToFileURL(join(root, file)).href)).default;
+  }
+  return validateConfig(raw, file, root);
+}
+
+/**
+ * loadConfig() for the command line scripts: prints the error and exits
+ * instead of throwing
+ */
+export async function loadConfigOrExit(root = rootDir) {
+  try {
+    return await loadConfig(root);
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  }
+}
+
+/**
+ * dart compile js flags for the development or production bundle, the same
+ * for every tool compiling one
+ */
+export function jsCompileFlags(config, bundle) {
+  return bundle === 'development'
+    ? ['--enable-asserts', ...config.jsFlags]
+    : [...(config.minify ? ['--minify'] : []), `-O${config.optimization}`, ...config.jsFlags];
+}
+
+// Directories below a Dart package that hold no sources of its bundles
+const isSkippedDir = name => name.startsWith('.') || name === 'build' || name === 'node_modules';
+
+/**
+ * Whether a bundle compiled from a Dart package depends on the file at path,
+ * relative to the package and '/'-separated: its pubspec files and every
+ * .dart file, except in .dart_tool and other hidden directories, build
+ * outputs and node_modules
+ */
+export function isDartSource(path) {
+  const dirs = path.split('/');
+  const name = dirs.pop();
+  if (dirs.some(isSkippedDir)) {
+    return false;
+  }
+  return name.endsWith('.dart') || (dirs.length === 0 && (name === 'pubspec.yaml' || name === 'pubspec.lock'));
+}
+
+/**
+ * The files of the Dart package at dir that isDartSource() accepts, as
+ * sorted paths relative to dir
+ */
+export function dartSources(dir, prefix = '') {
+  return readdirSync(join(dir, prefix), { withFileTypes: true })
+    .flatMap(entry => {
+      const path = prefix ? `${prefix}/${entry.name}` : entry.name;
+      if (entry.isDirectory()) {
+        return isSkippedDir(entry.name) ? [] : dartSources(dir, path);
+      }
+      return isDartSource(path) ? [path] : [];
+    })
+    .sort();
+}
@@ -0,0 +1,981 @@
+/**
+ * Tokenizer and declaration parser for Dart source
+ *
+ * Parses the declaration level of a Dart library: directives, annotations,
+ * top-level functions, getters, setters and variables, classes, enums,
+ * extension types and typedefs, together with full type and parameter
+ * syntax. Function bodies and initializers are skipped as balanced token
+ * ranges, so the parser understands any valid file without evaluating
+ * expressions.
+ *
+ * Used by generate-interop.mjs and generate-types.mjs.
+ */
+
+/**
+ * Error pointing at the Dart source position that could not be parsed
+ */
+export class DartParseError extends Error {
+  constructor(message, file, line, column) {
+    super(`${file}:${line}:${column}: ${message}`);
+    this.name = 'DartParseError';
+    this.file = file;
+    this.line = line;
+    this.column = column;
+  }
+}
+
+// Multi-character punctuators, longest first. '>' is always a single token
+// so nested type arguments like List<List<int>> close correctly.
+const PUNCTUATORS = ['...?', '??=', '...', '=>', '==', '!=', '??', '?.', '..', '&&', '||', '++', '--'];
+
+const CLASS_MODIFIERS = ['abstract', 'base', 'final', 'interface', 'sealed', 'mixin'];
+const MEMBER_MODIFIERS = ['external', 'static', 'const', 'final', 'late', 'var', 'covariant', 'abstract'];
+
+/**
+ * Split Dart source into tokens
+ *
+ * Comments are dropped, except that `///` doc comments are attached to the
+ * token that follows them as `docs` (one entry per line).
+ */
+export function tokenize(source, file = '<source>') {
+  const tokens = [];
+  let pos = 0;
+  let line = 1;
+  let lineStart = 0;
+  let docs = [];
+
+  const error = (message, at = pos) => {
+    const before = source.slice(0, at);
+    const errorLine = before.split('\n').length;
+    const column = at - before.lastIndexOf('\n');
+    return new DartParseError(message, file, errorLine, column);
+  };
+
+  const advanceLines = (from, to) => {
+    for (let i = from; i < to; i++) {
+      if (source[i] === '\n') {
+        line++;
+        lineStart = i + 1;
+      }
+    }
+  };
+
+  // Returns the index just past the string literal starting at `start`
+  const readString = (start) => {
+    let i = start;
+    const raw = source[i] === 'r';
+    if (raw) i++;
+
+    const quote = source[i];
+    const triple = source.startsWith(quote.repeat(3), i);
+    const delimiter = triple ? quote.repeat(3) : quote;
+    i += delimiter.length;
+
+    while (i < source.length) {
+      if (source.startsWith(delimiter, i)) {
+        return i + delimiter.length;
+      }
+      const char = source[i];
+      if (!triple && char === '\n') {
+        break;
+      }
+      if (char === '\\' && !raw) {
+        i += 2;
+        continue;
+      }
+      if (char === '$' && !raw && source[i + 1] === '{') {
+        // Interpolation: skip to the matching brace, stepping over nested strings
+        let depth = 1;
+        i += 2;
+        while (i < source.length && depth > 0) {
+          if (source[i] === '{') depth++;
+          else if (source[i] === '}') depth--;
+          else if (source[i] === '"' || source[i] === "'") {
+            i = readString(i);
+            continue;
+          }
+          i++;
+        }
+        continue;
+      }
+      i++;
+    }
+    throw error('Unterminated string literal', start);
+  };
+
+  while (pos < source.length) {
+    const char = source[pos];
+
+    // Whitespace
+    if (/\s/.test(char)) {
+      if (char === '\n') {
+        line++;
+        lineStart = pos + 1;
+      }
+      pos++;
+      continue;
+    }
+
+    // Comments
+    if (source.startsWith('//', pos)) {
+      const end = source.indexOf('\n', pos);
+      const text = source.slice(pos, end === -1 ? source.length : end);
+      if (text.startsWith('///') && !text.startsWith('////')) {
+        docs.push(text.slice(3).replace(/^ /, ''));
+      } else {
+        docs = [];
+      }
+      pos = end === -1 ? source.length : end;
+      continue;
+    }
+    if (source.startsWith('/*', pos)) {
+      // Block comments nest in Dart
+      let depth = 0;
+      let i = pos;
+      while (i < source.length) {
+        if (source.startsWith('/*', i)) {
+          depth++;
+          i += 2;
+        } else if (source.startsWith('*/', i)) {
+          depth--;
+          i += 2;
+          if (depth === 0) break;
+        } else {
+          i++;
+        }
+      }
+      if (depth !== 0) {
+        throw error('Unterminated block comment');
+      }
+      advanceLines(pos, i);
+      pos = i;
+      docs = [];
+      continue;
+    }
+
+    const start = pos;
+    const column = pos - lineStart + 1;
+    const startLine = line;
+    let type;
+
+    if (char === '"' || char === "'" || (char === 'r' && /["']/.test(source[pos + 1] ?? ''))) {
+      type = 'string';
+      pos = readString(pos);
+      advanceLines(start, pos);
+    } else if (/[A-Za-z_$]/.test(char)) {
+      type = 'identifier';
+      while (pos < source.length && /[\w$]/.test(source[pos])) pos++;
+    } else if (/\d/.test(char) || (char === '.' && /\d/.test(source[pos + 1] ?? ''))) {
+      type = 'number';
+      const match = source.slice(pos).match(/^(?:0[xX][\da-fA-F]+|\d*\.?\d+(?:[eE][+-]?\d+)?)/);
+      pos += match[0].length;
+    } else {
+      type = 'punct';
+      const punctuator = PUNCTUATORS.find(p => source.startsWith(p, pos));
+      pos += punctuator ? punctuator.length : 1;
+    }
+
+    const token = { type, value: source.slice(start, pos), start, end: pos, line: startLine, column };
+    if (docs.length > 0) {
+      token.docs = docs;
+      docs = [];
+    }
+    tokens.push(token);
+  }
+
+  tokens.push({ type: 'eof', value: '<end of file>', start: pos, end: pos, line, column: pos - lineStart + 1 });
+  return tokens;
+}
+
+/**
+ * Decode the value of a string literal token
+ */
+export function stringValue(literal) {
+  const raw = literal.startsWith('r');
+  const body = raw ? literal.slice(1) : literal;
+  const quoteLength = body.startsWith(body[0].repeat(3)) ? 3 : 1;
+  const content = body.slice(quoteLength, -quoteLength);
+  if (raw) {
+    return content;
+  }
+
+  const escapes = { n: '\n', r: '\r', t: '\t', b: '\b', f: '\f', v: '\v' };
+  return content.replace(/\\(.)/gs, (_, c) => escapes[c] ?? c);
+}
+
+/**
+ * Format a parsed type back into Dart source form
+ */
+export function formatType(type) {
+  if (!type) {
+    return 'dynamic';
+  }
+
+  const suffix = type.nullable ? '?' : '';
+  if (type.kind === 'function') {
+    const returnType = type.returnType ? `${formatType(type.returnType)} ` : '';
+    return `${returnType}Function(${formatParams(type.params)})${suffix}`;
+  }
+  if (type.kind === 'record') {
+    const positional = type.positional.map(f => f.name ? `${formatType(f.type)} ${f.name}` : formatType(f.type));
+    const named = type.named.map(f => `${formatType(f.type)} ${f.name}`);
+    const fields = [...positional];
+    if (named.length > 0) {
+      fields.push(`{${named.join(', ')}}`);
+    } else if (positional.length === 1) {
+      fields.push('');
+    }
+    return `(${fields.join(', ')})${suffix}`;
+  }
+  if (type.args.length === 0) {
+    return type.name + suffix;
+  }
+  return `${type.name}<${type.args.map(formatType).join(', ')}>${suffix}`;
+}
+
+/**
+ * Format a parsed parameter list back into Dart source form
+ */
+export function formatParams(params) {
+  const format = p => {
+    const type = p.type ? formatType(p.type) : '';
+    const declaration = [p.required ? 'required' : '', type, p.name ?? ''].filter(Boolean).join(' ');
+    return p.defaultValue ? `${declaration} = ${p.defaultValue}` : declaration;
+  };
+
+  const positional = params.filter(p => p.kind === 'positional').map(format);
+  const optional = params.filter(p => p.kind === 'optional').map(format);
+  const named = params.filter(p => p.kind === 'named').map(format);
+
+  const parts = [...positional];
+  if (optional.length > 0) parts.push(`[${optional.join(', ')}]`);
+  if (named.length > 0) parts.push(`{${named.join(', ')}}`);
+  return parts.join(', ');
+}
+
+/**
+ * Recursive descent parser over the token stream
+ */
+class Parser {
+  constructor(source, file) {
+    this.source = source;
+    this.file = file;
+    this.tokens = tokenize(source, file);
+    this.pos = 0;
+  }
+
+  peek(offset = 0) {
+    return this.tokens[Math.min(this.pos + offset, this.tokens.length - 1)];
+  }
+
+  next() {
+    const token = this.peek();
+    if (token.type !== 'eof') this.pos++;
+    return token;
+  }
+
+  at(value, offset = 0) {
+    const token = this.peek(offset);
+    return token.type !== 'string' && token.value === value;
+  }
+
+  isIdentifier(offset = 0) {
+    return this.peek(offset).type === 'identifier';
+  }
+
+  accept(value) {
+    if (this.at(value)) {
+      return this.next();
+    }
+    return null;
+  }
+
+  expect(value) {
+    if (!this.at(value)) {
+      throw this.error(`Expected '${value}' but found '${this.peek().value}'`);
+    }
+    return this.next();
+  }
+
+  expectIdentifier(what = 'identifier') {
+    if (!this.isIdentifier()) {
+      throw this.error(`Expected ${what} but found '${this.peek().value}'`);
+    }
+    return this.next();
+  }
+
+  error(message, token = this.peek()) {
+    return new DartParseError(message, this.file, token.line, token.column);
+  }
+
+  /**
+   * Source text between two tokens (inclusive)
+   */
+  textBetween(first, last) {
+    return this.source.slice(first.start, last.end);
+  }
+
+  /**
+   * Skip a balanced bracket group starting at the current token
+   */
+  skipBalanced() {
+    const pairs = { '(': ')', '[': ']', '{': '}' };
+    const open = this.next();
+
+    // Type parameters and arguments only nest angle brackets
+    if (open.value === '<') {
+      let depth = 1;
+      while (depth > 0) {
+        const token = this.next();
+        if (token.type === 'eof') {
+          throw this.error(`Unclosed '<'`, open);
+        }
+        if (token.value === '<' && token.type === 'punct') depth++;
+        if (token.value === '>' && token.type === 'punct') depth--;
+      }
+      return;
+    }
+
+    const stack = [pairs[open.value]];
+
+    while (stack.length > 0) {
+      const token = this.next();
+      if (token.type === 'eof') {
+        throw this.error(`Unclosed '${open.value}'`, open);
+      }
+      if (token.type !== 'punct') continue;
+
+      if (token.value === stack[stack.length - 1]) {
+        stack.pop();
+      } else if (pairs[token.value]) {
+        stack.push(pairs[token.value]);
+      } else if (')]}'.includes(token.value)) {
+        throw this.error(`Unexpected '${token.value}', expected '${stack[stack.length - 1]}'`, token);
+      }
+    }
+  }
+
+  /**
+   * Skip an expression up to (not including) one of the terminators at depth 0
+   */
+  skipExpression(terminators) {
+    const first = this.peek();
+    let last = null;
+
+    while (!(this.peek().type === 'punct' && terminators.includes(this.peek().value))) {
+      if (this.peek().type === 'eof') {
+        throw this.error(`Expected '${terminators[0]}' but reached the end of the file`);
+      }
+      if (['(', '[', '{'].includes(this.peek().value) && this.peek().type === 'punct') {
+        this.skipBalanced();
+        last = this.tokens[this.pos - 1];
+      } else {
+        last = this.next();
+      }
+    }
+
+    return last ? this.textBetween(first, last) : '';
+  }
+
+  /**
+   * Annotations: @name, @prefix.name or @name(args)
+   */
+  parseAnnotations() {
+    const annotations = [];
+
+    while (this.at('@')) {
+      const at = this.next();
+      let name = this.expectIdentifier('annotation name').value;
+      while (this.accept('.')) {
+        name += '.' + this.expectIdentifier('annotation name').value;
+      }
+
+      const annotation = { name, positional: [], named: {}, line: at.line, source: '' };
+      if (this.at('(')) {
+        this.next();
+        while (!this.at(')')) {
+          if (this.isIdentifier() && this.at(':', 1)) {
+            const argName = this.next().value;
+            this.next();
+            annotation.named[argName] = this.parseConstValue();
+          } else {
+            annotation.positional.push(this.parseConstValue());
+          }
+          if (!this.accept(',')) break;
+        }
+        this.expect(')');
+      }
+      annotation.source = this.textBetween(at, this.tokens[this.pos - 1]);
+      annotations.push(annotation);
+    }
+
+    return annotations;
+  }
+
+  /**
+   * Constant annotation arguments: strings, numbers, booleans, null and lists
+   * of those. Anything else is kept as its source text.
+   */
+  parseConstValue() {
+    this.accept('const');
+    const token = this.peek();
+
+    if (token.type === 'string') {
+      let value = '';
+      while (this.peek().type === 'string') {
+        value += stringValue(this.next().value);
+      }
+      if (this.at(',') || this.at(')') || this.at(']')) {
+        return value;
+      }
+    } else if (token.type === 'number' && (this.at(',', 1) || this.at(')', 1) || this.at(']', 1))) {
+      return Number(this.next().value);
+    } else if (['true', 'false', 'null'].includes(token.value) && token.type === 'identifier' &&
+               (this.at(',', 1) || this.at(')', 1) || this.at(']', 1))) {
+      this.next();
+      return token.value === 'null' ? null : token.value === 'true';
+    } else if (token.value === '[') {
+      this.next();
+      const values = [];
+      while (!this.at(']')) {
+        values.push(this.parseConstValue());
+        if (!this.accept(',')) break;
+      }
+      this.expect(']');
+      return values;
+    }
+
+    return { source: this.skipExpression([',', ')', ']']) };
+  }
+
+  /**
+   * Type annotation: named types with arguments, function types, records
+   */
+  parseType() {
+    const first = this.peek();
+    let type;
+
+    if (this.at('(')) {
+      type = this.parseRecordType();
+    } else if (this.at('Function')) {
+      type = null;
+    } else {
+      let name = this.expectIdentifier('type').value;
+      while (this.at('.') && this.isIdentifier(1)) {
+        this.next();
+        name += '.' + this.next().value;
+      }
+
+      const args = [];
+      if (this.accept('<')) {
+        do {
+          args.push(this.parseType());
+        } while (this.accept(','));
+        this.expect('>');
+      }
+      type = { kind: 'named', name, args, nullable: Boolean(this.accept('?')), line: first.line };
+    }
+
+    // T Function(params), possibly repeated: int Function() Function()
+    while (this.at('Function')) {
+      this.next();
+      if (this.at('<')) this.skipBalanced();
+      const params = this.parseParameters({ inFunctionType: true });
+      type = { kind: 'function', returnType: type, params, nullable: Boolean(this.accept('?')), line: first.line };
+    }
+
+    return type;
+  }
+
+  parseRecordType() {
+    const open = this.expect('(');
+    const positional = [];
+    const named = [];
+
+    while (!this.at(')')) {
+      if (this.accept('{')) {
+        while (!this.at('}')) {
+          this.parseAnnotations();
+          const type = this.parseType();
+          named.push({ type, name: this.expectIdentifier('record field name').value });
+          if (!this.accept(',')) break;
+        }
+        this.expect('}');
+        break;
+      }
+
+      this.parseAnnotations();
+      const type = this.parseType();
+      const name = this.isIdentifier() ? this.next().value : null;
+      positional.push({ type, name });
+      if (!this.accept(',')) break;
+    }
+
+    this.expect(')');
+    return { kind: 'record', positional, named, nullable: Boolean(this.accept('?')), line: open.line };
+  }
+
+  /**
+   * Try to parse a type, restoring the position if what follows isn't one
+   */
+  tryParseType(isFollowedByName) {
+    const start = this.pos;
+    try {
+      const type = this.parseType();
+      if (isFollowedByName()) {
+        return type;
+      }
+    } catch (error) {
+      if (!(error instanceof DartParseError)) throw error;
+    }
+    this.pos = start;
+    return null;
+  }
+
+  /**
+   * Parameter list including [optional] and {named} groups
+   */
+  parseParameters({ inFunctionType = false } = {}) {
+    this.expect('(');
+    const params = [];
+
+    const parseGroup = (kind, close) => {
+      while (!this.at(close)) {
+        params.push(this.parseParameter(kind, inFunctionType));
+        if (!this.accept(',')) break;
+      }
+    };
+
+    while (!this.at(')')) {
+      if (this.accept('[')) {
+        parseGroup('optional', ']');
+        this.expect(']');
+        this.accept(',');
+        break;
+      }
+      if (this.accept('{')) {
+        parseGroup('named', '}');
+        this.expect('}');
+        this.accept(',');
+        break;
+      }
+      params.push(this.parseParameter('positional', inFunctionType));
+      if (!this.accept(',')) break;
+    }
+
+    this.expect(')');
+    return params;
+  }
+
+  parseParameter(kind, inFunctionType) {
+    const annotations = this.parseAnnotations();
+    const first = this.peek();
+    let required = false;
+
+    // A modifier is only a modifier when a type or name follows it
+    while (['covariant', 'required', 'final', 'var', 'const'].includes(this.peek().value) &&
+           this.isIdentifier() && (this.isIdentifier(1) || this.at('(', 1))) {
+      if (this.next().value === 'required') required = true;
+    }
+
+    let type = null;
+    let name = null;
+    let field = null;
+
+    // this.x / super.x initializing formals, optionally typed
+    const parseFieldFormal = () => {
+      if ((this.at('this') || this.at('super')) && this.at('.', 1)) {
+        field = this.next().value;
+        this.next();
+        name = this.expectIdentifier('parameter name').value;
+        return true;
+      }
+      return false;
+    };
+
+    if (!parseFieldFormal()) {
+      type = this.tryParseType(() =>
+        this.isIdentifier() || (this.at('this') || this.at('super')) ||
+        (inFunctionType && [',', ')', ']', '}'].includes(this.peek().value)));
+
+      if (!parseFieldFormal()) {
+        if (this.isIdentifier()) {
+          name = this.next().value;
+        } else if (!type || !inFunctionType) {
+          throw this.error(`Expected parameter but found '${this.peek().value}'`);
+        }
+      }
+    }
+
+    // Old style function-typed parameter: int compare(int a, int b)
+    if (name && this.at('(')) {
+      const params = this.parseParameters({ inFunctionType: true });
+      type = { kind: 'function', returnType: type, params, nullable: Boolean(this.accept('?')), line: first.line };
+    }
+
+    let defaultValue;
+    if (this.accept('=') || (kind === 'named' && this.accept(':'))) {
+      defaultValue = this.skipExpression([',', ')', ']', '}']);
+    }
+
+    return { name, type, kind, required, defaultValue, field, annotations, line: first.line };
+  }
+
+  /**
+   * Skip a function body: block, arrow expression or `;`
+   */
+  parseBody() {
+    while (['async', 'sync'].includes(this.peek().value) && this.isIdentifier()) {
+      this.next();
+      this.accept('*');
+    }
+
+    if (this.at('{')) {
+      const start = this.pos;
+      this.skipBalanced();
+      return { kind: 'block', tokens: this.tokens.slice(start + 1, this.pos - 1) };
+    }
+    if (this.accept('=>')) {
+      const start = this.pos;
+      this.skipExpression([';']);
+      const tokens = this.tokens.slice(start, this.pos);
+      this.expect(';');
+      return { kind: 'expression', tokens };
+    }
+    this.expect(';');
+    return null;
+  }
+
+  /**
+   * Functions, getters, setters, fields and constructors
+   *
+   * Used for both top-level declarations and class members; `className` is
+   * set for members so constructors can be recognized.
+   */
+  parseMember(annotations, docs, className = null) {
+    const first = this.peek();
+    const modifiers = [];
+
+    // Reserved words are always modifiers, `final (int, int) pair;` included
+    while (MEMBER_MODIFIERS.includes(this.peek().value) && this.isIdentifier() &&
+           (['const', 'final', 'var'].includes(this.peek().value) ||
+            (!this.at('(', 1) && !this.at('=', 1) && !this.at(';', 1)))) {
+      modifiers.push(this.next().value);
+    }
+
+    const base = { annotations, docs, modifiers, external: modifiers.includes('external'),
+                   static: modifiers.includes('static'), line: first.line };
+
+    // Constructors: Name(...), Name.named(...), factory Name(...)
+    if (className && (this.at('factory') || (this.at(className) && (this.at('(', 1) || this.at('.', 1))))) {
+      const factory = Boolean(this.accept('factory'));
+      this.expectIdentifier('constructor name');
+      const name = this.accept('.') ? this.expectIdentifier('constructor name').value : '';
+      const params = this.parseParameters();
+
+      let body = null;
+      if (this.accept('=')) {
+        this.skipExpression([';']);
+        this.expect(';');
+      } else {
+        if (this.accept(':')) {
+          this.skipExpression(['{', ';', '=>']);
+        }
+        body = this.parseBody();
+      }
+      return [{ ...base, kind: 'constructor', name, factory, params, body }];
+    }
+
+    const isAccessor = () => (this.at('get') || this.at('set')) && this.isIdentifier(1);
+    const isOperator = () => this.at('operator') && this.peek(1).type === 'punct' && !this.at('(', 1);
+
+    // The return or field type is optional: `main() {}`, `final x = 1;`
+    const type = isAccessor() || isOperator() ? null : this.tryParseType(() => this.isIdentifier());
+
+    if (isOperator()) {
+      this.skipExpression(['(']);
+      this.parseParameters();
+      this.parseBody();
+      return [];
+    }
+
+    let kind = 'function';
+    if (isAccessor()) {
+      kind = this.next().value === 'get' ? 'getter' : 'setter';
+    }
+
+    const nameToken = this.expectIdentifier('declaration name');
+    const name = nameToken.value;
+    const line = nameToken.line;
+
+    if (kind === 'getter') {
+      return [{ ...base, kind, name, type, line, body: this.parseBody() }];
+    }
+
+    if (this.at('<')) {
+      this.skipBalanced();
+    }
+
+    if (this.at('(')) {
+      const params = this.parseParameters();
+      return [{ ...base, kind, name, returnType: type, params, line, body: this.parseBody() }];
+    }
+
+    // Variables and fields: Type a = 1, b;
+    const fields = [];
+    let fieldName = name;
+    let fieldLine = line;
+    for (;;) {
+      let initializer;
+      if (this.accept('=')) {
+        initializer = this.skipExpression([',', ';']);
+      }
+      fields.push({ ...base, kind: className ? 'field' : 'variable', name: fieldName, type,
+                    initializer, line: fieldLine });
+      if (!this.accept(',')) break;
+      const nextName = this.expectIdentifier('variable name');
+      fieldName = nextName.value;
+      fieldLine = nextName.line;
+    }
+    this.expect(';');
+    return fields;
+  }
+
+  /**
+   * Members of a class, enum or extension type body up to the closing brace
+   */
+  parseMembers(className) {
+    const members = [];
+    while (!this.at('}')) {
+      if (this.peek().type === 'eof') {
+        throw this.error(`Expected '}' to close ${className}`);
+      }
+      if (this.accept(';')) continue;
+      const docs = this.peek().docs;
+      const annotations = this.parseAnnotations();
+      members.push(...this.parseMember(annotations, docs ?? this.peek().docs, className));
+    }
+    this.expect('}');
+    return members;
+  }
+
+  /**
+   * Skip type parameters and supertype clauses up to the body
+   */
+  parseHeaderClauses(until) {
+    const clauses = {};
+    let current = null;
+
+    while (!until.some(value => this.at(value))) {
+      if (this.peek().type === 'eof') {
+        throw this.error(`Expected '${until[0]}' but reached the end of the file`);
+      }
+      if (['extends', 'with', 'implements', 'on'].includes(this.peek().value)) {
+        current = this.next().value;
+        clauses[current] = [];
+        continue;
+      }
+      if (current && !this.accept(',')) {
+        clauses[current].push(this.parseType());
+        continue;
+      }
+      if (this.at('<')) {
+        this.skipBalanced();
+        continue;
+      }
+      throw this.error(`Unexpected '${this.peek().value}' in declaration header`);
+    }
+    return clauses;
+  }
+
+  parseClass(base) {
+    const modifiers = [];
+    while (CLASS_MODIFIERS.includes(this.peek().value) && !this.at('class')) {
+      modifiers.push(this.next().value);
+    }
+    this.expect('class');
+
+    const nameToken = this.expectIdentifier('class name');
+    const name = nameToken.value;
+
+    // class A = B with C;
+    if (this.accept('=')) {
+      this.skipExpression([';']);
+      this.expect(';');
+      return { ...base, kind: 'class', name, modifiers, members: [], line: nameToken.line };
+    }
+
+    const clauses = this.parseHeaderClauses(['{']);
+    this.expect('{');
+    const members = this.parseMembers(name);
+    return { ...base, kind: 'class', name, modifiers, ...clauses, members, line: nameToken.line };
+  }
+
+  parseEnum(base) {
+    this.expect('enum');
+    const nameToken = this.expectIdentifier('enum name');
+    const name = nameToken.value;
+    const clauses = this.parseHeaderClauses(['{']);
+    this.expect('{');
+
+    const values = [];
+    while (!this.at(';') && !this.at('}')) {
+      const docs = this.peek().docs;
+      const annotations = this.parseAnnotations();
+      const valueToken = this.expectIdentifier('enum value');
+      if (this.at('<')) this.skipBalanced();
+      if (this.accept('.')) this.expectIdentifier('constructor name');
+      if (this.at('(')) this.skipBalanced();
+      values.push({ name: valueToken.value, docs, annotations, line: valueToken.line });
+      if (!this.accept(',')) break;
+    }
+
+    const members = this.accept(';') ? this.parseMembers(name) : (this.expect('}'), []);
+    return { ...base, kind: 'enum', name, ...clauses, values, members, line: nameToken.line };
+  }
+
+  parseExtension(base) {
+    this.expect('extension');
+
+    if (!this.accept('type')) {
+      // Plain extension: extension Name on Type { ... }
+      const name = this.isIdentifier() && !this.at('on') ? this.next().value : null;
+      this.parseHeaderClauses(['{']);
+      this.expect('{');
+      const members = this.parseMembers(name ?? '');
+      return { ...base, kind: 'extension', name, members };
+    }
+
+    this.accept('const');
+    const nameToken = this.expectIdentifier('extension type name');
+    const name = nameToken.value;
+    if (this.at('<')) this.skipBalanced();
+    const constructorName = this.accept('.') ? this.expectIdentifier('constructor name').value : '';
+
+    this.expect('(');
+    this.parseAnnotations();
+    this.accept('final');
+    const representationType = this.parseType();
+    const representationName = this.expectIdentifier('representation name').value;
+    this.expect(')');
+
+    const clauses = this.parseHeaderClauses(['{', ';']);
+    const members = this.accept(';') ? [] : (this.expect('{'), this.parseMembers(name));
+
+    return {
+      ...base, kind: 'extensionType', name, constructorName, representationType,
+      representationName, implements: clauses.implements ?? [], members, line: nameToken.line,
+    };
+  }
+
+  parseTypedef(base) {
+    this.expect('typedef');
+
+    // typedef Name<T> = Type;
+    if (this.isIdentifier() && (this.at('=', 1) || this.at('<', 1))) {
+      const nameToken = this.next();
+      if (this.at('<')) this.skipBalanced();
+      if (this.accept('=')) {
+        const type = this.parseType();
+        this.expect(';');
+        return { ...base, kind: 'typedef', name: nameToken.value, type, line: nameToken.line };
+      }
+      this.pos--;
+    }
+
+    // Old style: typedef int Compare(int a, int b);
+    const returnType = this.tryParseType(() => this.isIdentifier());
+    const nameToken = this.expectIdentifier('typedef name');
+    if (this.at('<')) this.skipBalanced();
+    const params = this.parseParameters({ inFunctionType: true });
+    this.expect(';');
+    const type = { kind: 'function', returnType, params, nullable: false, line: nameToken.line };
+    return { ...base, kind: 'typedef', name: nameToken.value, type, line: nameToken.line };
+  }
+
+  parseDirective(base) {
+    const keyword = this.next().value;
+    let uri = null;
+    if (this.peek().type === 'string') {
+      uri = stringValue(this.peek().value);
+    }
+    const source = this.skipExpression([';']);
+    this.expect(';');
+
+    const prefix = source.match(/\bas\s+(\w+)/)?.[1] ?? null;
+    return { ...base, kind: keyword, uri, prefix, source };
+  }
+
+  /**
+   * Whole compilation unit
+   */
+  parseUnit() {
+    const declarations = [];
+    let library = null;
+
+    while (this.peek().type !== 'eof') {
+      if (this.accept(';')) continue;
+
+      const docs = this.peek().docs;
+      const annotations = this.parseAnnotations();
+      const base = { annotations, docs: docs ?? this.peek().docs, line: this.peek().line };
+      const token = this.peek();
+
+      // Record return or variable types start with '('
+      if (token.type !== 'identifier' && !this.at('(')) {
+        throw this.error(`Unexpected '${token.value}' at top level`);
+      }
+
+      if (token.value === 'library') {
+        this.next();
+        const name = this.isIdentifier() ? this.skipExpression([';']) : null;
+        this.expect(';');
+        library = { ...base, kind: 'library', name };
+      } else if (['import', 'export', 'part'].includes(token.value) && !this.at('(', 1)) {
+        declarations.push(this.parseDirective(base));
+      } else if (token.value === 'class' ||
+                 (CLASS_MODIFIERS.includes(token.value) && (this.at('class', 1) || this.at('class', 2) || this.at('class', 3)))) {
+        declarations.push(this.parseClass(base));
+      } else if (token.value === 'mixin') {
+        this.next();
+        this.expectIdentifier('mixin name');
+        this.parseHeaderClauses(['{']);
+        this.skipBalanced();
+      } else if (token.value === 'enum' && this.isIdentifier(1)) {
+        declarations.push(this.parseEnum(base));
+      } else if (token.value === 'extension' && (this.isIdentifier(1) || this.at('<', 1))) {
+        declarations.push(this.parseExtension(base));
+      } else if (token.value === 'typedef') {
+        declarations.push(this.parseTypedef(base));
+      } else {
+        declarations.push(...this.parseMember(annotations, base.docs));
+      }
+    }
+
+    return { library, declarations };
+  }
+}
+
+/**
+ * Parse a Dart library into its declarations
+ *
+ * Returns { library, declarations }, where each declaration has a `kind`
+ * (import, export, part, class, enum, extension, extensionType, typedef,
+ * function, getter, setter, variable), its `annotations`, `docs` and `line`.
+ * Throws DartParseError with the file, line and column on invalid input.
+ */
+export function parseDart(source, file = '<source>') {
+  return new Parser(source, file).parseUnit();
+}
+
+/**
+ * Parse a standalone Dart type, e.g. 'JSArray<JSArray<JSNumber>>?'
+ */
+export function parseType(source, file = '<type>') {
+  const parser = new Parser(source, file);
+  const type = parser.parseType();
+  if (parser.peek().type !== 'eof') {
+    throw parser.error(`Unexpected '${parser.peek().value}' after type`);
+  }
+  return type;
+}
@@ -0,0 +1,955 @@
+#!/usr/bin/env node
+
+/**
+ * Generate the Dart interop glue from annotated Dart functions
+ *
+ * This script scans dart/*.dart for top-level functions marked with
+ * @BridgeExport() and writes dart/interop.dart: the JS setter declarations,
+ * the wrappers converting between JS and Dart types, and the registration
+ * in main(), which also creates the dartbridge namespace objects.
+ *
+ * The file written, the directory scanned (the one containing it) and the
+ * namespace come from dartinjs.config.(mjs|json), see config.mjs. With
+ * several entries in the configuration, each gets its own file from its own
+ * sources.
+ *
+ * The result goes through dart format. Without the Dart SDK it is written
+ * as generated, and --check ignores the formatting of the file on disk.
+ *
+ * Usage: node scripts/generate-interop.mjs [--check] [--entry <name>]
+ *   --check  Exit with an error instead of writing when interop.dart is stale
+ *   --entry  Only generate the entry with this name
+ */
+
+import { execSync } from 'child_process';
+import { readFileSync, writeFileSync, readdirSync, existsSync } from 'fs';
+import { join, dirname, relative } from 'path';
+import { fileURLToPath } from 'url';
+import { loadConfigOrExit } from './config.mjs';
+import { parseDart, formatType, formatParams } from './dart-parser.mjs';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+// Configuration
+const config = await loadConfigOrExit();
+
+// The entry point being generated, set by useEntry()
+let DART_DIR;
+let DART_INTEROP_FILE;
+let BRIDGE_ROOT;
+let SOURCES;
+// Directory and file as shown in messages, e.g. dart and dart/interop.dart
+let SOURCE_DIR;
+let INTEROP_NAME;
+
+// Error classes installBridgeErrors() in bridge.dart defines on the root
+const BRIDGE_ERRORS = [
+  'DartBridgeError', 'DartArgumentError', 'DartRangeError', 'DartStateError',
+  'DartUnsupportedError', 'DartFormatException', 'DartTimeoutException',
+];
+
+// Files that are never scanned for exports, besides the entries
+const IGNORED_FILES = ['bridge.dart'];
+
+/**
+ * Dart types that cross the bridge as JS primitives
+ */
+const primitiveTypes = {
+  'int': { js: 'JSNumber', toDart: 'toDartInt' },
+  'double': { js: 'JSNumber', toDart: 'toDartDouble' },
+  'num': { js: 'JSNumber', toDart: 'toDartDouble' },
+  'String': { js: 'JSString', toDart: 'toDart' },
+  'bool': { js: 'JSBoolean', toDart: 'toDart' },
+  // dart:typed_data lists share their buffer with the JS typed array
+  'Int8List': { js: 'JSInt8Array', toDart: 'toDart', typedData: true },
+  'Uint8List': { js: 'JSUint8Array', toDart: 'toDart', typedData: true },
+  'Uint8ClampedList': { js: 'JSUint8ClampedArray', toDart: 'toDart', typedData: true },
+  'Int16List': { js: 'JSInt16Array', toDart: 'toDart', typedData: true },
+  'Uint16List': { js: 'JSUint16Array', toDart: 'toDart', typedData: true },
+  'Int32List': { js: 'JSInt32Array', toDart: 'toDart', typedData: true },
+  'Uint32List': { js: 'JSUint32Array', toDart: 'toDart', typedData: true },
+  'Float32List': { js: 'JSFloat32Array', toDart: 'toDart', typedData: true },
+  'Float64List': { js: 'JSFloat64Array', toDart: 'toDart', typedData: true },
+};
+
+/**
+ * Error pointing at the Dart source line that could not be handled
+ */
+class InteropError extends Error {
+  constructor(file, line, message) {
+    super(`${SOURCE_DIR}/${file}:${line}: ${message}`);
+  }
+}
+
+/**
+ * Classes, enums and typedefs declared in dart/*.dart by name, collected
+ * before exports are extracted so signatures can use types from any file
+ */
+const declaredTypes = new Map();
+
+/**
+ * Classes, records and enums crossing the bridge, keyed by type name or
+ * record shape in order of first use
+ */
+const dataTypes = new Map();
+
+/**
+ * Collect the classes, enums and typedefs declared in a parsed Dart file
+ */
+function collectTypes(file, unit) {
+  for (const decl of unit.declarations) {
+    if (decl.kind !== 'class' && decl.kind !== 'enum' && decl.kind !== 'typedef') {
+      continue;
+    }
+    const previous = declaredTypes.get(decl.name);
+    if (previous) {
+      throw new InteropError(file, decl.line,
+        `${decl.kind} ${decl.name} is already declared in ${SOURCE_DIR}/${previous.file}:${previous.decl.line}`);
+    }
+    declaredTypes.set(decl.name, { file, decl });
+  }
+}
+
+/**
+ * Lower camel case prefix for the converter functions of a data type
+ */
+function converterPrefix(name) {
+  return name.replace(/^_+/, '').replace(/^[A-Z]+(?=[A-Z][a-z]|$)|^[A-Z]/, s => s.toLowerCase());
+}
+
+/**
+ * Fields of a data class, taken from its unnamed constructor
+ *
+ * Every constructor parameter must be an initializing formal (this.field) of
+ * a typed field, so the class can be rebuilt from a JS object.
+ */
+function dataClassFields(file, decl) {
+  const fail = (line, reason) => {
+    throw new InteropError(file, line, `class ${decl.name} can't cross the bridge: ${reason}`);
+  };
+
+  if (decl.modifiers.includes('abstract') || decl.modifiers.includes('sealed')) {
+    fail(decl.line, 'abstract classes can\'t be constructed');
+  }
+  const constructor = decl.members.find(m => m.kind === 'constructor' && m.name === '' && !m.factory);
+  if (!constructor) {
+    fail(decl.line, 'it needs an unnamed generative constructor');
+  }
+
+  return constructor.params.map(param => {
+    const field = decl.members.find(m => m.kind === 'field' && !m.static && m.name === param.name);
+    if (param.field !== 'this' || !field || !field.type) {
+      fail(param.line, `constructor parameter '${param.name}' must initialize a typed field (this.${param.name})`);
+    }
+    if (!jsTypeFor(field.type)) {
+      fail(field.line, `unsupported type '${formatType(field.type)}' for field '${field.name}'`);
+    }
+    return { name: param.name, type: field.type, kind: param.kind, docs: field.docs ?? [] };
+  });
+}
+
+/**
+ * Get the data type for a class or record type, registering it on first use
+ */
+function dataTypeFor(type) {
+  if (type.kind === 'record') {
+    const key = formatType({ ...type, nullable: false });
+    if (!dataTypes.has(key)) {
+      const fields = [
+        ...type.positional.map((field, i) => ({ name: `$${i + 1}`, type: field.type, kind: 'positional', docs: [] })),
+        ...type.named.map(field => ({ name: field.name, type: field.type, kind: 'named', docs: [] })),
+      ];
+      if (fields.length === 0 || !fields.every(field => jsTypeFor(field.type))) {
+        return null;
+      }
+      const index = [...dataTypes.values()].filter(data => data.kind === 'record').length + 1;
+      dataTypes.set(key, { kind: 'record', name: key, jsType: `_JSRecord${index}`,
+                           prefix: `_record${index}`, fields, docs: [] });
+    }
+    return dataTypes.get(key);
+  }
+
+  const entry = type.kind === 'named' && type.args.length === 0 && declaredTypes.get(type.name);
+  if (!entry || entry.decl.kind === 'typedef') {
+    return null;
+  }
+
+  // Enums cross as their names and are checked on the way back into Dart
+  if (entry.decl.kind === 'enum' && !dataTypes.has(type.name)) {
+    dataTypes.set(type.name, { kind: 'enum', name: type.name, jsType: `JS${type.name.replace(/^_+/, '')}`,
+                               prefix: `_${converterPrefix(type.name)}`, values: entry.decl.values.map(v => v.name),
+                               docs: entry.decl.docs ?? [] });
+  }
+
+  if (!dataTypes.has(type.name)) {
+    // Registered before the fields are resolved so classes can refer to themselves
+    const data = { kind: 'class', name: type.name, jsType: `JS${type.name.replace(/^_+/, '')}`,
+                   prefix: `_${converterPrefix(type.name)}`, fields: [], docs: entry.decl.docs ?? [] };
+    dataTypes.set(type.name, data);
+    data.fields = dataClassFields(entry.file, entry.decl);
+  }
+  return dataTypes.get(type.name);
+}
+
+/**
+ * Apply a conversion built by `convert`, passing null through for nullable
+ * types
+ */
+function convertNullable(type, expr, convert) {
+  if (!type.nullable) {
+    return convert(expr);
+  }
+  // Local variables are promoted by the null check, anything else needs !
+  // and null-aware chains need parentheses so ! applies to the whole chain
+  const value = /^\w+$/.test(expr) ? expr : expr.includes('?.') ? `(${expr})!` : `${expr}!`;
+  return `${expr} == null ? null : ${convert(value)}`;
+}
+
+/**
+ * Whether a Dart type is a JSON-like value passed through jsify()/dartify()
+ */
+function isJsonType(type) {
+  return type.kind === 'named' && type.args.length === 0 &&
+    (type.name === 'dynamic' || type.name === 'Object');
+}
+
+/**
+ * Whether a Dart type is a Map with String keys
+ */
+function isStringMap(type) {
+  return type.kind === 'named' && type.name === 'Map' && type.args.length === 2 &&
+    type.args[0].kind === 'named' && type.args[0].name === 'String' && !type.args[0].nullable;
+}
+
+/**
+ * Resolve a callback parameter type, following typedefs, to its function type
+ */
+function callbackTypeFor(type) {
+  if (type.kind === 'function') {
+    return type;
+  }
+  const entry = type.kind === 'named' && type.args.length === 0 && declaredTypes.get(type.name);
+  if (entry && entry.decl.kind === 'typedef' && entry.decl.type.kind === 'function') {
+    return { ...entry.decl.type, nullable: type.nullable || entry.decl.type.nullable };
+  }
+  return null;
+}
+
+/**
+ * Get the JSCallback type a JS function is received as, or null when the
+ * callback signature can't cross the bridge
+ *
+ * Callbacks are invoked with callAsFunction(), which takes up to four
+ * positional arguments.
+ */
+function jsCallbackTypeFor(callback) {
+  const params = callback.params;
+  if (params.length > 4 || params.some(p => p.kind !== 'positional' || !p.type)) {
+    return null;
+  }
+  const jsParams = params.map(p => jsTypeFor(p.type));
+  // JS can't hand a stream back to Dart
+  const jsReturn = callback.returnType && jsReturnTypeFor(callback.returnType);
+  if (!jsReturn || jsReturn.startsWith('JSAsyncIterable') || jsParams.includes(null)) {
+    return null;
+  }
+  const signature = params.map((p, i) => p.name ? `${jsParams[i]} ${p.name}` : jsParams[i]);
+  return `JSCallback<${jsReturn} Function(${signature.join(', ')})>${callback.nullable ? '?' : ''}`;
+}
+
+/**
+ * Whether a Dart type is the BridgeAbortSignal from bridge.dart
+ */
+function isAbortSignal(type) {
+  return type.kind === 'named' && type.name === 'BridgeAbortSignal' && type.args.length === 0;
+}
+
+/**
+ * Get the JS interop type a parameter is received as: any marshalled type,
+ * a callback or an AbortSignal
+ */
+function jsParamTypeFor(type) {
+  if (isAbortSignal(type)) {
+    return `JSAbortSignal${type.nullable ? '?' : ''}`;
+  }
+  const callback = callbackTypeFor(type);
+  return callback ? jsCallbackTypeFor(callback) : jsTypeFor(type);
+}
+
+/**
+ * Dart function calling a JS callback, converting its arguments to JS and
+ * its result back to Dart
+ *
+ * Async callbacks go through callbackFuture(), so they may return either a
+ * promise or a plain value.
+ */
+function callbackToDart(callback, expr) {
+  const names = callback.params.map((p, i) => p.name ?? `arg${i + 1}`);
+  const args = callback.params.map((p, i) => toJSExpr(p.type, names[i]));
+  const call = `${expr}.callAsFunction(${['null', ...args].join(', ')})`;
+  const returnType = callback.returnType;
+
+  let body;
+  if (returnType.name === 'void') {
+    body = call;
+  } else if (returnType.name === 'Future') {
+    const [inner] = returnType.args;
+    body = inner.name === 'void'
+      ? `callbackFuture(${call})`
+      : `callbackFuture(${call}).then((value) => ${toDartExpr(inner, `(value as ${jsTypeFor(inner)})`)})`;
+  } else {
+    body = toDartExpr(returnType, `(${call} as ${jsTypeFor(returnType)})`);
+  }
+  return `(${names.join(', ')}) => ${body}`;
+}
+
+/**
+ * Get the JS interop type a Dart type is marshalled to
+ */
+function jsTypeFor(type) {
+  const suffix = type.nullable ? '?' : '';
+  const data = dataTypeFor(type);
+  if (data) {
+    return data.jsType + suffix;
+  }
+  if (type.kind !== 'named') {
+    return null;
+  }
+
+  if (primitiveTypes[type.name] && type.args.length === 0) {
+    return primitiveTypes[type.name].js + suffix;
+  }
+  if (type.name === 'List' && type.args.length === 1) {
+    const inner = jsTypeFor(type.args[0]);
+    return inner && `JSArray<${inner}>${suffix}`;
+  }
+  if (isStringMap(type)) {
+    const inner = jsTypeFor(type.args[1]);
+    return inner && `JSMap<${inner}>${suffix}`;
+  }
+  // dynamic always admits null
+  if (isJsonType(type)) {
+    return type.name === 'dynamic' ? 'JSJson?' : `JSJson${suffix}`;
+  }
+  return null;
+}
+
+/**
+ * Get the JS interop type returned to JavaScript for a Dart return type
+ */
+function jsReturnTypeFor(type) {
+  if (type.kind !== 'named') {
+    return null;
+  }
+  if (type.name === 'void' && type.args.length === 0) {
+    return 'void';
+  }
+  if (type.name === 'Future' && type.args.length === 1 && !type.nullable) {
+    const [inner] = type.args;
+    if (inner.name === 'void') {
+      return 'JSPromise';
+    }
+    const jsInner = jsTypeFor(inner);
+    return jsInner && `JSPromise<${jsInner}>`;
+  }
+  // Streams are pulled from JS as async iterables
+  if (type.name === 'Stream' && type.args.length === 1 && !type.nullable) {
+    const jsInner = jsTypeFor(type.args[0]);
+    return jsInner && `JSAsyncIterable<${jsInner}>`;
+  }
+  return jsTypeFor(type);
+}
+
+/**
+ * Dart expression converting a JS value to the given Dart type
+ */
+function toDartExpr(type, expr, depth = 0) {
+  const access = type.nullable ? '?.' : '.';
+  const callback = callbackTypeFor(type);
+  if (callback) {
+    return convertNullable(callback, expr, value => callbackToDart(callback, value));
+  }
+  if (isAbortSignal(type)) {
+    return convertNullable(type, expr, value => `BridgeAbortSignal.fromJS(${value})`);
+  }
+  const data = dataTypeFor(type);
+  if (data) {
+    return convertNullable(type, expr, value => `${data.prefix}ToDart(${value})`);
+  }
+  if (primitiveTypes[type.name]) {
+    return `${expr}${access}${primitiveTypes[type.name].toDart}`;
+  }
+  if (isJsonType(type)) {
+    return type.name === 'Object' && !type.nullable ? `${expr}.dartify()!` : `${expr}.dartify()`;
+  }
+
+  const item = depth === 0 ? 'e' : `e${depth}`;
+  if (isStringMap(type)) {
+    return convertNullable(type, expr, value =>
+      `mapToDart(${value}, (${item}) => ${toDartExpr(type.args[1], item, depth + 1)})`);
+  }
+
+  // List<T>
+  return `${expr}${access}toDart.map((${item}) => ${toDartExpr(type.args[0], item, depth + 1)}).toList()`;
+}
+
+/**
+ * Dart expression converting a Dart value of the given type to JS
+ */
+function toJSExpr(type, expr, depth = 0) {
+  const access = type.nullable ? '?.' : '.';
+  const data = dataTypeFor(type);
+  if (data) {
+    return convertNullable(type, expr, value => `${data.prefix}ToJS(${value})`);
+  }
+  if (primitiveTypes[type.name]) {
+    return `${expr}${access}toJS`;
+  }
+  if (isJsonType(type)) {
+    return type.name === 'Object' && !type.nullable ? `${expr}.jsify()!` : `${expr}.jsify()`;
+  }
+
+  if (type.name === 'Future') {
+    const [inner] = type.args;
+    if (inner.name === 'void') {
+      return `bridgePromise(${expr}.then((_) => null))`;
+    }
+    return `bridgePromise(${expr}.then((value) => ${toJSExpr(inner, 'value', depth + 1)}))`;
+  }
+
+  if (type.name === 'Stream') {
+    return `streamToJS(${expr}, (value) => ${toJSExpr(type.args[0], 'value', depth + 1)})`;
+  }
+
+  const item = depth === 0 ? 'e' : `e${depth}`;
+  if (isStringMap(type)) {
+    return convertNullable(type, expr, value =>
+      `mapToJS(${value}, (${item}) => ${toJSExpr(type.args[1], item, depth + 1)})`);
+  }
+
+  // List<T>
+  return `${expr}${access}map((${item}) => ${toJSExpr(type.args[0], item, depth + 1)}).toList().toJS`;
+}
+
+/**
+ * Dart expression converting a JS argument to the type of a Dart parameter
+ *
+ * Optional parameters arrive as nullable JS values, so a missing argument
+ * falls back to the parameter's default value.
+ */
+function toDartArg(param, expr) {
+  if (param.kind === 'positional' || param.required) {
+    return toDartExpr(param.type, expr);
+  }
+
+  const converted = toDartExpr({ ...param.type, nullable: true }, expr);
+  if (!param.defaultValue) {
+    return converted;
+  }
+  // Conditional conversions bind looser than ??
+  return converted.includes(' ? ') ? `(${converted}) ?? ${param.defaultValue}` : `${converted} ?? ${param.defaultValue}`;
+}
+
+/**
+ * Name of the extension type describing a function's named parameters
+ */
+function optionsTypeName(id) {
+  return `_${id[0].toUpperCase()}${id.slice(1)}Options`;
+}
+
+/**
+ * Single-quoted Dart string literal
+ */
+function dartString(value) {
+  return `'${value.replace(/[\\'$]/g, c => `\\${c}`).replace(/\n/g, '\\n')}'`;
+}
+
+/**
+ * Dart identifier for an export path, e.g. math.quickSort -> mathQuickSort
+ */
+function exportId(path) {
+  return path.map((name, i) => i === 0 ? name : name[0].toUpperCase() + name.slice(1)).join('');
+}
+
+/**
+ * Extract @BridgeExport() functions from a parsed Dart file
+ */
+function extractExports(file, unit) {
+  const exports = [];
+
+  for (const decl of unit.declarations) {
+    const annotation = decl.annotations.find(a => a.name === 'BridgeExport');
+    if (!annotation) {
+      continue;
+    }
+
+    const line = annotation.line;
+    if (decl.kind !== 'function') {
+      throw new InteropError(file, line, '@BridgeExport() must annotate a top-level function');
+    }
+
+    const dartName = decl.name;
+    const exportName = annotation.named.name ?? dartName;
+    if (typeof exportName !== 'string' || !/^[A-Za-z_$][\w$]*$/.test(exportName)) {
+      throw new InteropError(file, line, `BridgeExport name must be a valid JS identifier (${dartName})`);
+    }
+
+    const namespace = annotation.named.namespace ?? null;
+    if (namespace !== null && (typeof namespace !== 'string' || !/^[A-Za-z_$][\w$]*(\.[A-Za-z_$][\w$]*)*$/.test(namespace))) {
+      throw new InteropError(file, line, `BridgeExport namespace must be dotted JS identifiers (${dartName})`);
+    }
+    const path = namespace ? [...namespace.split('.'), exportName] : [exportName];
+
+    const returnType = decl.returnType;
+    if (!returnType || !jsReturnTypeFor(returnType)) {
+      throw new InteropError(file, decl.line,
+        `unsupported return type '${formatType(returnType)}' for ${dartName}`);
+    }
+
+    const params = decl.params;
+    for (const param of params) {
+      if (!param.type || !jsParamTypeFor(param.type)) {
+        throw new InteropError(file, param.line,
+          `unsupported type '${formatType(param.type)}' for parameter '${param.name}' of ${dartName}`);
+      }
+    }
+    if (params.some(p => p.kind === 'named') && params.some(p => p.name === 'options')) {
+      throw new InteropError(file, line,
+        `'options' is reserved for the named parameters object (${dartName})`);
+    }
+
+    // @Deprecated('message') or the bare @deprecated constant
+    const deprecation = decl.annotations.find(a => a.name === 'Deprecated' || a.name === 'deprecated');
+
+    exports.push({
+      file, line, dartName, exportName, namespace, returnType, params,
+      docs: decl.docs ?? [],
+      deprecated: deprecation ? (deprecation.positional[0] ?? 'Deprecated') : null,
+      jsName: path.join('.'),
+      id: exportId(path),
+    });
+  }
+
+  return exports;
+}
+
+/**
+ * Generate the extension type that named parameters are read from
+ */
+function generateOptionsType(exp, named) {
+  const getters = named.map(p => {
+    const type = p.required ? p.type : { ...p.type, nullable: true };
+    return `  external ${jsParamTypeFor(type)} get ${p.name};`;
+  });
+
+  return `extension type ${optionsTypeName(exp.id)}._(JSObject _) implements JSObject {
+${getters.join('\n')}
+}`;
+}
+
+/**
+ * Generate the JS string type, validating converter and values setter for
+ * an enum
+ */
+function generateEnumType(data) {
+  const docs = data.docs.map(line => `///${line ? ` ${line}` : ''}\n`).join('');
+  const values = data.values.map(value => `'${value}'`).join(', ');
+
+  return `${docs}@BridgeEnum([${values}])
+extension type ${data.jsType}._(JSString _) implements JSString {}
+
+@JS('globalThis.${BRIDGE_ROOT}.${data.jsType.slice(2)}')
+external set ${data.prefix}Values(JSObject values);
+
+${data.jsType} ${data.prefix}ToJS(${data.name} value) {
+  return ${data.jsType}._(value.name.toJS);
+}
+
+${data.name} ${data.prefix}ToDart(${data.jsType} value) {
+  final name = value.toDart;
+  return ${data.name}.values.asNameMap()[name] ??
+      (throw ArgumentError.value(
+          name, '${data.name}', 'Expected one of ${data.values.join(', ')}'));
+}`;
+}
+
+/**
+ * Generate the JS object type and converters for a class or record
+ */
+function generateDataType(data) {
+  if (data.kind === 'enum') {
+    return generateEnumType(data);
+  }
+
+  const docs = data.docs.map(line => `///${line ? ` ${line}` : ''}\n`).join('');
+
+  const factoryParams = data.fields.map(field =>
+    `${field.type.nullable ? '' : 'required '}${jsTypeFor(field.type)} ${field.name}`);
+  const factoryOneLine = `  external factory ${data.jsType}({${factoryParams.join(', ')}});`;
+  const factory = factoryOneLine.length <= 80
+    ? factoryOneLine
+    : `  external factory ${data.jsType}({\n${factoryParams.map(p => `    ${p},`).join('\n')}\n  });`;
+
+  const getters = data.fields.map(field => {
+    const fieldDocs = field.docs.map(line => `  ///${line ? ` ${line}` : ''}\n`).join('');
+    return `${fieldDocs}  external ${jsTypeFor(field.type)} get ${field.name};`;
+  });
+
+  const toJSArgs = data.fields.map(field => `${field.name}: ${toJSExpr(field.type, `value.${field.name}`)}`);
+  const toDartArgs = data.fields.map(field => {
+    const converted = toDartExpr(field.type, `value.${field.name}`);
+    return field.kind === 'named' ? `${field.name}: ${converted}` : converted;
+  });
+
+  // Records are rebuilt with a record literal, classes with their constructor
+  const constructor = data.kind === 'record' ? '' : data.name;
+  if (data.kind === 'record' && toDartArgs.length === 1 && data.fields[0].kind === 'positional') {
+    toDartArgs[0] += ',';
+  }
+
+  return `${docs}extension type ${data.jsType}._(JSObject _) implements JSObject {
+${factory}
+
+${getters.join(data.fields.some(field => field.docs.length > 0) ? '\n\n' : '\n')}
+}
+
+${data.jsType} ${data.prefix}ToJS(${data.name} value) {
+  return ${formatCall(data.jsType, toJSArgs, '  ')};
+}
+
+${data.name} ${data.prefix}ToDart(${data.jsType} value) {
+  return ${formatCall(constructor, toDartArgs, '  ')};
+}`;
+}
+
+/**
+ * Generate the wrapper and registration code for one export
+ */
+function generateExport(exp) {
+  const setter = `@JS('globalThis.${BRIDGE_ROOT}.${exp.jsName}')
+external set _${exp.id}(JSFunction f);`;
+
+  const jsReturnType = jsReturnTypeFor(exp.returnType);
+  const positional = exp.params.filter(p => p.kind === 'positional');
+  const optional = exp.params.filter(p => p.kind === 'optional');
+  const named = exp.params.filter(p => p.kind === 'named');
+
+  const params = positional.map(p => `${jsParamTypeFor(p.type)} ${p.name}`);
+  const optionalParams = optional.map(p => `${jsParamTypeFor({ ...p.type, nullable: true })} ${p.name}`);
+  const options = named.some(p => p.required) ? 'options' : 'options?';
+
+  // Promises of functions taking an AbortSignal reject as soon as it aborts,
+  // which needs the converted signal after the call too
+  const signal = exp.params.find(p => isAbortSignal(p.type));
+  const abortable = signal && jsReturnType.startsWith('JSPromise');
+  const signalArg = abortable
+    ? `    final bridgeSignal = ${toDartArg(signal, signal.kind === 'named' ? `${options}.${signal.name}` : signal.name)};\n`
+    : '';
+  const toArg = (p, expr) => abortable && p === signal ? 'bridgeSignal' : toDartArg(p, expr);
+
+  const args = [...positional, ...optional].map(p => toArg(p, p.name));
+
+  // Named parameters are passed from JavaScript as a trailing options object
+  let optionsType = null;
+  if (named.length > 0) {
+    const typeName = optionsTypeName(exp.id);
+    const optionsRequired = named.some(p => p.required);
+    optionsType = generateOptionsType(exp, named);
+    if (optionsRequired) {
+      params.push(`${typeName} options`);
+    } else {
+      optionalParams.push(`${typeName}? options`);
+    }
+    args.push(...named.map(p => `${p.name}: ${toArg(p, `${options}.${p.name}`)}`));
+  }
+
+  const call = formatCall(exp.dartName, args, '    ');
+  const ignore = exp.deprecated !== null
+    ? '    // ignore: deprecated_member_use_from_same_package\n'
+    : '';
+
+  let jsResult = jsReturnType === 'void' ? null : toJSExpr(exp.returnType, 'result');
+  if (abortable) {
+    jsResult = `abortable(${jsResult}, bridgeSignal)`;
+  }
+
+  const body = jsReturnType === 'void'
+    ? `${ignore}    ${call};`
+    : `${signalArg}${ignore}    final result = ${call};\n    return ${jsResult};`;
+
+  // Docs and deprecation are carried over for generate-types.mjs
+  const docs = exp.docs.map(line => `///${line ? ` ${line}` : ''}\n`).join('');
+  const deprecated = exp.deprecated !== null ? `@Deprecated(${dartString(exp.deprecated)})\n` : '';
+
+  // Dart exceptions reach JS as DartBridgeError, see bridge.dart
+  const impl = `${docs}${deprecated}${formatSignature(jsReturnType, `_${exp.id}Impl`, params, optionalParams)} {
+  try {
+${body}
+  } catch (error, stackTrace) {
+    throwBridgeError(error, stackTrace);
+  }
+}`;
+
+  return [setter, optionsType, impl].filter(Boolean).join('\n\n');
+}
+
+/**
+ * Format a function signature, wrapping parameters dart format style
+ */
+function formatSignature(returnType, name, params, optional) {
+  const all = optional.length > 0 ? [...params, `[${optional.join(', ')}]`] : params;
+  const oneLine = `${returnType} ${name}(${all.join(', ')})`;
+  if (oneLine.length + 2 <= 80) {
+    return oneLine;
+  }
+
+  const lines = params.map(p => `  ${p},`);
+  if (optional.length === 0) {
+    return `${returnType} ${name}(\n${lines.join('\n')}\n)`;
+  }
+
+  // A trailing [optional] group opens on the last required line
+  const optionalLines = optional.map(p => `  ${p},`);
+  if (lines.length === 0) {
+    return `${returnType} ${name}([\n${optionalLines.join('\n')}\n])`;
+  }
+  lines[lines.length - 1] += ' [';
+  return `${returnType} ${name}(\n${[...lines, ...optionalLines].join('\n')}\n])`;
+}
+
+/**
+ * Format a call expression, wrapping arguments dart format style
+ */
+function formatCall(name, args, indent) {
+  const oneLine = `${name}(${args.join(', ')})`;
+  if (indent.length + oneLine.length + 16 <= 80) {
+    return oneLine;
+  }
+  return `${name}(\n${args.map(a => `${indent}  ${a},`).join('\n')}\n${indent})`;
+}
+
+/**
+ * Generate the full interop.dart source
+ */
+function generateInterop(exports) {
+  const data = [...dataTypes.values()];
+  const enums = data.filter(d => d.kind === 'enum');
+  const typeFiles = data.filter(d => d.kind !== 'record').map(d => declaredTypes.get(d.name).file);
+  const files = [...new Set([...exports.map(exp => exp.file), ...typeFiles])].sort();
+
+  // Record converters spell out their field types, which may be typed data
+  const typedDataNames = Object.keys(primitiveTypes).filter(name => primitiveTypes[name].typedData);
+  const usesTypedData = data.some(d => d.kind === 'record' &&
+    typedDataNames.some(name => new RegExp(`\\b${name}\\b`).test(d.name)));
+
+  const header = `// GENERATED CODE - DO NOT MODIFY BY HAND
+//
+// Generated by scripts/generate-interop.mjs from the @BridgeExport()
+// functions in ${SOURCE_DIR}/*.dart. To regenerate: npm run generate-interop
+
+@JS()
+library interop;
+
+import 'dart:js_interop';
+${usesTypedData ? "import 'dart:typed_data';\n" : ''}import 'bridge.dart';
+${files.map(file => `import '${file}';`).join('\n')}
+`;
+
+  const body = [...data.map(generateDataType), ...exports.map(generateExport)].join('\n\n');
+
+  // Namespace objects must exist before the setters assign into them
+  const namespaces = [...new Set(exports.map(exp =>
+    exp.namespace ? `${BRIDGE_ROOT}.${exp.namespace}` : BRIDGE_ROOT))];
+
+  const main = `void main() {
+${namespaces.map(namespace => `  ensureBridgeNamespace('${namespace}');`).join('\n')}
+  installBridgeErrors('${BRIDGE_ROOT}');
+
+${exports.map(exp => `  _${exp.id} = _${exp.id}Impl.toJS;`).join('\n')}
+${enums.map(data => `  ${data.prefix}Values = {
+    for (final value in ${data.name}.values) value.name: value.name,
+  }.jsify() as JSObject;`).map(line => `\n${line}`).join('')}
+}
+`;
+
+  return `${header}\n${body}\n\n${main}`;
+}
+
+let dartSdk;
+
+/**
+ * The generated glue as dart format writes it, or null without the Dart SDK
+ */
+function dartFormat(content) {
+  if (dartSdk === undefined) {
+    try {
+      execSync('dart --version', { stdio: 'pipe' });
+      dartSdk = true;
+    } catch {
+      dartSdk = false;
+    }
+  }
+  if (!dartSdk) {
+    return null;
+  }
+  // The file name picks the language version of its package
+  return execSync(`dart format --stdin-name="${DART_INTEROP_FILE}"`, {
+    input: content,
+    encoding: 'utf-8',
+    stdio: ['pipe', 'pipe', 'pipe'],
+  });
+}
+
+/**
+ * Dart source without what dart format changes: whitespace and trailing
+ * commas
+ */
+function withoutFormatting(content) {
+  return content.replace(/,(\s*[)\]}])/g, '$1').replace(/\s+/g, '');
+}
+
+/**
+ * Point the generator at one entry of the configuration
+ */
+function useEntry(entry) {
+  const rootDir = join(__dirname, '..');
+  DART_DIR = entry.dartDir;
+  DART_INTEROP_FILE = entry.entry;
+  BRIDGE_ROOT = entry.namespace;
+  SOURCES = entry.sources;
+  SOURCE_DIR = relative(rootDir, DART_DIR).replace(/\\/g, '/');
+  INTEROP_NAME = relative(rootDir, DART_INTEROP_FILE).replace(/\\/g, '/');
+  declaredTypes.clear();
+  dataTypes.clear();
+}
+
+/**
+ * The Dart files of the current entry to scan for exports
+ */
+function sourceFiles() {
+  if (SOURCES) {
+    for (const file of SOURCES) {
+      if (!existsSync(join(DART_DIR, file))) {
+        throw new Error(`${SOURCE_DIR}/${file}, a source of ${INTEROP_NAME}, does not exist`);
+      }
+    }
+    return [...SOURCES].sort();
+  }
+  const entryFiles = config.entries.map(entry => entry.entry);
+  return readdirSync(DART_DIR)
+    .filter(file => file.endsWith('.dart') && !IGNORED_FILES.includes(file) &&
+      !entryFiles.includes(join(DART_DIR, file)))
+    .sort();
+}
+
+/**
+ * Generate the glue of the current entry
+ */
+function generateEntry(check) {
+  console.log(`🔍 Scanning ${SOURCE_DIR} for @BridgeExport() exports of ${INTEROP_NAME}...`);
+  const files = sourceFiles();
+
+  // Types are collected first so exports can use types from any file
+  const units = files.map(file =>
+    [file, parseDart(readFileSync(join(DART_DIR, file), 'utf-8'), `${SOURCE_DIR}/${file}`)]);
+  units.forEach(([file, unit]) => collectTypes(file, unit));
+
+  const exports = [];
+  for (const [file, unit] of units) {
+    exports.push(...extractExports(file, unit));
+  }
+
+  if (exports.length === 0) {
+    console.warn('⚠️  No @BridgeExport() functions found');
+    return;
+  }
+
+  const seen = new Map();
+  for (const exp of exports) {
+    const previous = seen.get(exp.jsName) ?? seen.get(`#${exp.id}`);
+    if (previous) {
+      throw new InteropError(exp.file, exp.line,
+        `'${exp.jsName}' clashes with '${previous.jsName}' exported from ${SOURCE_DIR}/${previous.file}:${previous.line}`);
+    }
+    seen.set(exp.jsName, exp);
+    seen.set(`#${exp.id}`, exp);
+  }
+
+  // Enum values objects live next to the root functions
+  for (const data of dataTypes.values()) {
+    const name = data.kind === 'enum' && data.jsType.slice(2);
+    const clash = name && exports.find(exp => exp.jsName.split('.')[0] === name);
+    if (clash) {
+      throw new InteropError(clash.file, clash.line,
+        `'${clash.jsName}' clashes with the values of enum ${data.name}`);
+    }
+  }
+
+  const errorClash = exports.find(exp => BRIDGE_ERRORS.includes(exp.jsName.split('.')[0]));
+  if (errorClash) {
+    throw new InteropError(errorClash.file, errorClash.line,
+      `'${errorClash.jsName}' clashes with the bridge error class ${errorClash.jsName.split('.')[0]}`);
+  }
+
+  // A name can't be both a function and a namespace
+  for (const exp of exports) {
+    const namespaceClash = exports.find(other => other.namespace &&
+      `${other.namespace}.`.startsWith(`${exp.jsName}.`));
+    if (namespaceClash) {
+      throw new InteropError(exp.file, exp.line,
+        `'${exp.jsName}' is also used as a namespace by ${SOURCE_DIR}/${namespaceClash.file}:${namespaceClash.line}`);
+    }
+  }
+
+  console.log(`✅ Found ${exports.length} exports:`);
+  exports.forEach(exp => {
+    const params = formatParams(exp.params);
+    console.log(`   - ${exp.jsName} → ${exp.dartName}(${params}) in ${SOURCE_DIR}/${exp.file}`);
+  });
+
+  const generated = generateInterop(exports);
+  const content = dartFormat(generated);
+  const current = existsSync(DART_INTEROP_FILE) ? readFileSync(DART_INTEROP_FILE, 'utf-8') : null;
+  const upToDate = content !== null
+    ? content === current
+    : current !== null && withoutFormatting(generated) === withoutFormatting(current);
+
+  if (upToDate) {
+    console.log(`✅ ${INTEROP_NAME} is up to date`);
+    return;
+  }
+
+  if (check) {
+    console.error(`❌ ${INTEROP_NAME} is out of date, run: npm run generate-interop`);
+    process.exit(1);
+  }
+
+  // Only write on changes so watchers don't see a rebuild loop
+  writeFileSync(DART_INTEROP_FILE, content ?? generated, 'utf-8');
+  console.log(`✅ Interop bindings written to: ${DART_INTEROP_FILE}`);
+}
+
+/**
+ * Main function
+ */
+function main() {
+  const check = process.argv.includes('--check');
+  const only = process.argv.includes('--entry') ? process.argv[process.argv.indexOf('--entry') + 1] : undefined;
+
+  try {
+    const entries = config.entries.filter(entry => only === undefined || entry.name === only);
+    if (entries.length === 0) {
+      throw new Error(`No entry named '${only}', expected one of: ${config.entries.map(entry => entry.name).join(', ')}`);
+    }
+    for (const entry of entries) {
+      useEntry(entry);
+      generateEntry(check);
+    }
+  } catch (error) {
+    console.error('❌ Error:', error.message);
+    process.exit(1);
+  }
+}
+
+main();
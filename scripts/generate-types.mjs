@@ -5,152 +5,693 @@
  * 
  * This script parses the Dart interop file to extract function signatures
  * and automatically generates TypeScript definitions.
+ *
+ * Next to the .d.ts it also writes ES module wrappers around the compiled
+ * bundles (interop.mjs, interop.dev.mjs) with their .d.mts, which load the
+ * bundle on first use and never touch globalThis, and interop.exports.json,
+ * listing the functions main() registers and those a worker bridge leaves
+ * out.
+ *
+ * Next to the Dart file it writes interop.d.dart.ts, typing imports of the
+ * .dart file through js-runtime/register.mjs (TypeScript reads it with
+ * allowArbitraryExtensions); --no-dart-types skips it.
+ *
+ * Without --input it generates every entry of dartinjs.config.(mjs|json),
+ * or the one named by --entry: <name>.d.ts, <name>.mjs, <name>.dev.mjs and
+ * <name>.exports.json in its outDir for the bundles <name>.js and
+ * <name>.dev.js, each bridge read from its entry's namespace. bridges.d.ts
+ * there maps the entry names to their DartBridge types for the loader.
+ *
+ * Usage: node scripts/generate-types.mjs [--entry <name> | --input <interop.dart> [--output <interop.d.ts>]] [--no-dart-types]
  */
 
-import { readFileSync, writeFileSync } from 'fs';
-import { join, dirname } from 'path';
+import { mkdirSync, readFileSync, writeFileSync } from 'fs';
+import { join, dirname, relative, basename, extname, resolve } from 'path';
 import { fileURLToPath } from 'url';
+import { loadConfigOrExit } from './config.mjs';
+import { parseDart, formatType } from './dart-parser.mjs';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
+const rootDir = join(__dirname, '..');
+
+/**
+ * Read a --flag <value> command line option
+ */
+function getArg(flag) {
+  const index = process.argv.indexOf(flag);
+  return index === -1 ? undefined : process.argv[index + 1];
+}
 
 // Configuration
-const DART_INTEROP_FILE = join(__dirname, '..', 'dart', 'interop.dart');
-const TS_OUTPUT_FILE = join(__dirname, '..', 'dist', 'interop.d.ts');
+const config = await loadConfigOrExit();
+const DART_TYPES = !process.argv.includes('--no-dart-types');
+
+// Global the bridge being generated is registered on, set per entry by main()
+let NAMESPACE;
+let BRIDGE_PREFIX;
+
+/**
+ * Error classes installBridgeErrors() in bridge.dart defines on dartbridge:
+ * [name, parent, Dart exceptions reported with it]
+ */
+const BRIDGE_ERRORS = [
+  ['DartBridgeError', null, 'any Dart exception without a more specific class'],
+  ['DartArgumentError', 'DartBridgeError', '`ArgumentError`'],
+  ['DartRangeError', 'DartArgumentError', '`RangeError`'],
+  ['DartStateError', 'DartBridgeError', '`StateError`'],
+  ['DartUnsupportedError', 'DartBridgeError', '`UnsupportedError` and `UnimplementedError`'],
+  ['DartFormatException', 'DartBridgeError', '`FormatException`'],
+  ['DartTimeoutException', 'DartBridgeError', '`TimeoutException`'],
+];
 
 /**
  * Parse Dart type to TypeScript type
+ *
+ * Takes a type parsed by dart-parser.mjs. Types that have no TypeScript
+ * equivalent are reported through context.warn and become `any`.
  */
-function dartTypeToTS(dartType) {
+function dartTypeToTS(type, context) {
+  if (!type) {
+    return 'any';
+  }
+
+  // Handle nullable types
+  if (type.nullable) {
+    const innerType = dartTypeToTS({ ...type, nullable: false }, context);
+    if (innerType === 'any' || innerType === 'JsonValue') {
+      return innerType;
+    }
+    return isFunctionType(innerType) ? `(${innerType}) | null` : `${innerType} | null`;
+  }
+
+  if (type.kind !== 'named') {
+    context.warn(type, `unsupported type '${formatType(type)}'`);
+    return 'any';
+  }
+
   const typeMap = {
     'JSNumber': 'number',
     'JSString': 'string',
     'JSBoolean': 'boolean',
-    'JSArray<JSNumber>': 'number[]',
-    'JSArray<JSString>': 'string[]',
-    'JSPromise<JSString>': 'Promise<string>',
-    'JSPromise<JSNumber>': 'Promise<number>',
-    'JSPromise<JSBoolean>': 'Promise<boolean>',
+    'JSPromise': 'Promise<void>',
+    'JSAny': 'any',
+    'JSFunction': '(...args: any[]) => any',
+    'JSAbortSignal': 'AbortSignal',
     'void': 'void',
+    // Typed arrays cross the bridge without copying
+    'JSInt8Array': 'Int8Array',
+    'JSUint8Array': 'Uint8Array',
+    'JSUint8ClampedArray': 'Uint8ClampedArray',
+    'JSInt16Array': 'Int16Array',
+    'JSUint16Array': 'Uint16Array',
+    'JSInt32Array': 'Int32Array',
+    'JSUint32Array': 'Uint32Array',
+    'JSFloat32Array': 'Float32Array',
+    'JSFloat64Array': 'Float64Array',
   };
 
   // Handle generic types
-  if (dartType.includes('JSArray<')) {
-    const innerType = dartType.match(/JSArray<(.+?)>/)?.[1];
-    if (innerType) {
-      return `${dartTypeToTS(innerType)}[]`;
-    }
+  if (type.name === 'JSArray' && type.args.length === 1) {
+    const tsInner = dartTypeToTS(type.args[0], context);
+    return isUnion(tsInner) || isFunctionType(tsInner) ? `(${tsInner})[]` : `${tsInner}[]`;
+  }
+
+  if (type.name === 'JSPromise' && type.args.length === 1) {
+    return `Promise<${dartTypeToTS(type.args[0], context)}>`;
+  }
+
+  // JSCallback<F> from bridge.dart is a JS function with the signature F
+  if (type.name === 'JSCallback' && type.args.length === 1 && type.args[0].kind === 'function') {
+    return callbackToTS(type.args[0], context);
+  }
+
+  // JSAsyncIterable<T> from bridge.dart wraps a Dart stream
+  if (type.name === 'JSAsyncIterable' && type.args.length === 1) {
+    return `AsyncIterable<${dartTypeToTS(type.args[0], context)}>`;
+  }
+
+  // JSMap<T> from bridge.dart is a plain object keyed by strings
+  if (type.name === 'JSMap' && type.args.length === 1) {
+    return `Record<string, ${dartTypeToTS(type.args[0], context)}>`;
   }
 
-  if (dartType.includes('JSPromise<')) {
-    const innerType = dartType.match(/JSPromise<(.+?)>/)?.[1];
-    if (innerType) {
-      return `Promise<${dartTypeToTS(innerType)}>`;
+  // JSJson carries dynamic/Object values through jsify()/dartify()
+  if (type.name === 'JSJson' && type.args.length === 0) {
+    context.usesJson = true;
+    return 'JsonValue';
+  }
+
+  // Enum names become string-literal unions
+  if (context.enums.has(type.name)) {
+    return tsInterfaceName(type.name);
+  }
+
+  // Extension types over JSObject become object types; public ones (the data
+  // classes) are emitted as named interfaces
+  if (context.extensionTypes.has(type.name)) {
+    const extensionType = context.extensionTypes.get(type.name);
+    if (!type.name.startsWith('_')) {
+      const name = tsInterfaceName(type.name);
+      context.interfaces.set(name, extensionType);
+      return name;
     }
+    return `{ ${objectMembers(extensionType, context).join('; ')} }`;
   }
 
-  return typeMap[dartType] || 'any';
+  if (type.args.length === 0 && typeMap[type.name]) {
+    return typeMap[type.name];
+  }
+
+  context.warn(type, `unknown type '${formatType(type)}'`);
+  return 'any';
 }
 
 /**
- * Parse function signature from Dart code
+ * Whether a parsed Dart parameter type is a JS function, or an options
+ * object with one
  */
-function parseFunctionSignature(implName, implCode) {
-  // Extract return type and parameters
-  const signatureMatch = implCode.match(
-    /(\w+(?:<[^>]+>)?)\s+(\w+)\s*\((.*?)\)/s
-  );
-  
-  if (!signatureMatch) {
-    return null;
+function takesFunction(type, context, seen = new Set()) {
+  if (type?.kind === 'function' || type?.name === 'JSFunction' || type?.name === 'JSCallback') {
+    return true;
+  }
+  if (type?.kind !== 'named' || seen.has(type.name) || !context.extensionTypes.has(type.name)) {
+    return false;
   }
+  seen.add(type.name);
+  return context.extensionTypes.get(type.name).getters.some(member => takesFunction(member.type, context, seen));
+}
 
-  const [, returnType, funcName, paramsStr] = signatureMatch;
-  
-  // Parse parameters
-  const params = [];
-  if (paramsStr.trim()) {
-    const paramList = paramsStr.split(',').map(p => p.trim());
-    for (const param of paramList) {
-      const paramMatch = param.match(/(\w+(?:<[^>]+>)?)\s+(\w+)/);
-      if (paramMatch) {
-        const [, paramType, paramName] = paramMatch;
-        params.push({
-          name: paramName,
-          type: dartTypeToTS(paramType)
-        });
-      }
+/**
+ * Convert a parsed Dart parameter list to TypeScript parameters
+ *
+ * Positional parameters stay positional, [optional] ones become optional
+ * and {named} ones are collected into a trailing options object.
+ */
+function convertParams(dartParams, context) {
+  const params = dartParams
+    .filter(p => p.kind !== 'named')
+    .map(p => ({
+      name: p.name,
+      type: dartTypeToTS(p.type, context),
+      optional: p.kind === 'optional',
+    }));
+
+  const named = dartParams.filter(p => p.kind === 'named');
+  if (named.length > 0) {
+    const members = named.map(p => `${p.name}${p.required ? '' : '?'}: ${dartTypeToTS(p.type, context)}`);
+    params.push({
+      name: 'options',
+      type: `{ ${members.join('; ')} }`,
+      optional: !named.some(p => p.required),
+    });
+  }
+
+  return params;
+}
+
+/**
+ * Format a parameter for a TypeScript signature
+ */
+function formatParam(param) {
+  return `${param.name}${param.optional ? '?' : ''}: ${param.type}`;
+}
+
+/**
+ * Find `_setter = _function.toJS` assignments in the body of main()
+ */
+function extractAssignments(mainFunction) {
+  const assignments = new Map();
+  const tokens = mainFunction?.body?.tokens ?? [];
+
+  for (let i = 0; i + 4 < tokens.length; i++) {
+    const [target, equals, source, dot, toJS] = tokens.slice(i, i + 5);
+    if (target.type === 'identifier' && equals.value === '=' && source.type === 'identifier' &&
+        dot.value === '.' && toJS.value === 'toJS') {
+      assignments.set(target.value, { name: source.value, line: target.line });
     }
   }
 
-  return {
-    name: funcName.replace('_', '').replace('Impl', ''),
-    returnType: dartTypeToTS(returnType),
-    params
-  };
+  return assignments;
+}
+
+/**
+ * Whether a TypeScript type contains `token` outside of any brackets
+ */
+function hasTopLevel(tsType, token) {
+  let depth = 0;
+  for (let i = 0; i < tsType.length; i++) {
+    const char = tsType[i];
+    if (depth === 0 && tsType.startsWith(token, i)) return true;
+    if ('<({['.includes(char)) depth++;
+    else if ('>)}]'.includes(char) && tsType[i - 1] !== '=') depth--;
+  }
+  return false;
+}
+
+/**
+ * Whether a TypeScript type is a union, and so needs parentheses as an array
+ * element type
+ */
+function isUnion(tsType) {
+  return hasTopLevel(tsType, '|');
+}
+
+/**
+ * Whether a TypeScript type is a function type, and so needs parentheses in
+ * unions and arrays
+ */
+function isFunctionType(tsType) {
+  return hasTopLevel(tsType, '=>');
+}
+
+/**
+ * TypeScript function type for a callback signature
+ *
+ * Async callbacks are awaited with Promise.resolve() on the Dart side, so
+ * they may return the value directly as well.
+ */
+function callbackToTS(callback, context) {
+  const params = callback.params.map((p, i) => `${p.name ?? `arg${i + 1}`}: ${dartTypeToTS(p.type, context)}`);
+  const returnType = callback.returnType;
+
+  let tsReturn = dartTypeToTS(returnType, context);
+  if (returnType?.kind === 'named' && returnType.name === 'JSPromise' && !returnType.nullable) {
+    const inner = returnType.args.length === 1 ? dartTypeToTS(returnType.args[0], context) : 'void';
+    tsReturn = `${inner} | Promise<${inner}>`;
+  }
+  return `(${params.join(', ')}) => ${tsReturn}`;
+}
+
+/**
+ * TypeScript interface name for a data extension type, e.g. JSStats -> Stats
+ */
+function tsInterfaceName(name) {
+  return name.replace(/^JS(?=[A-Z])/, '');
+}
+
+/**
+ * Members of an extension type as TypeScript property signatures
+ *
+ * Options objects are filled in by JavaScript, so their nullable members may
+ * be left out; objects created by Dart always carry every member.
+ */
+function objectMembers(extensionType, context) {
+  return extensionType.getters.map(member => {
+    const optional = member.type?.nullable && !extensionType.objectLiteral ? '?' : '';
+    return `${member.name}${optional}: ${dartTypeToTS(member.type, context)}`;
+  });
+}
+
+/**
+ * Map the parameter names used in docs to their TSDoc names; members of
+ * options objects are documented as options.member
+ */
+function docParamNames(dartParams, context) {
+  const names = new Map();
+  for (const p of dartParams) {
+    if (p.kind === 'named') {
+      names.set(p.name, `options.${p.name}`);
+      continue;
+    }
+    names.set(p.name, p.name);
+    const extensionType = p.type?.kind === 'named' && context.extensionTypes.get(p.type.name);
+    for (const member of extensionType?.getters ?? []) {
+      names.set(member.name, `${p.name}.${member.name}`);
+    }
+  }
+  return names;
 }
 
 /**
  * Extract exported functions from Dart interop file
  */
-function extractFunctions(dartCode) {
+function extractFunctions(unit, context) {
   const functions = [];
-  
-  // First, parse the main() function to find assignments
-  const mainMatch = dartCode.match(/void\s+main\s*\(\s*\)\s*{([^}]+)}/s);
-  const assignments = new Map();
-  
-  if (mainMatch) {
-    const mainBody = mainMatch[1];
-    // Pattern: _internalName = _actualFunction.toJS or _actualFunctionImpl.toJS
-    const assignmentMatches = mainBody.matchAll(/_(\w+)\s*=\s*_?(\w+)(?:\.toJS|Impl\.toJS)/g);
-    for (const match of assignmentMatches) {
-      const [, internalName, actualFunc] = match;
-      assignments.set(internalName, actualFunc);
+  const declarations = unit.declarations;
+
+  // Extension types over JSObject and their external getters
+  for (const decl of declarations) {
+    if (decl.kind === 'extensionType' && decl.representationType.name === 'JSObject') {
+      context.extensionTypes.set(decl.name, {
+        docs: decl.docs ?? [],
+        getters: decl.members.filter(m => m.kind === 'getter'),
+        // An external factory means Dart builds the object as a literal
+        objectLiteral: decl.members.some(m => m.kind === 'constructor' && m.factory && m.external),
+      });
     }
   }
-  
-  // Find all @JS declarations
-  const jsDeclarations = dartCode.matchAll(
-    /@JS\('globalThis\.dartbridge\.(\w+)'\)[^;]*external\s+set\s+_(\w+)/g
-  );
-  
-  for (const match of jsDeclarations) {
-    const [, exportName, internalName] = match;
-    
-    // Get the actual function name from assignments
-    const actualFunc = assignments.get(internalName) || `${internalName}Impl`;
-    
+
+  // Extension types over JSString marked @BridgeEnum([...]) carry enum names
+  for (const decl of declarations) {
+    const annotation = decl.annotations.find(a => a.name === 'BridgeEnum');
+    if (decl.kind === 'extensionType' && annotation && Array.isArray(annotation.positional[0])) {
+      context.enums.set(decl.name, { docs: decl.docs ?? [], values: annotation.positional[0] });
+    }
+  }
+
+  // Setters are assigned in main(): _internalName = _actualFunctionImpl.toJS
+  const mainFunction = declarations.find(d => d.kind === 'function' && d.name === 'main');
+  const assignments = extractAssignments(mainFunction);
+
+  // Find all @JS setters on the bridge
+  for (const decl of declarations) {
+    const jsName = decl.annotations.find(a => a.name === 'JS')?.positional[0];
+    if (decl.kind !== 'setter' || typeof jsName !== 'string' || !jsName.startsWith(BRIDGE_PREFIX)) {
+      continue;
+    }
+    // Other bridge values, such as the enum values objects, are not functions
+    if (decl.params[0]?.type?.name !== 'JSFunction') {
+      continue;
+    }
+
+    const exportName = jsName.slice(BRIDGE_PREFIX.length);
+    const assignment = assignments.get(decl.name);
+    if (!assignment) {
+      context.warn(decl, `${decl.name} is declared but never assigned in main(), skipping ${exportName}`);
+      continue;
+    }
+
     // Find the corresponding implementation function
-    const implPattern = new RegExp(
-      `(\\w+(?:<[^>]+>)?)\\s+_${actualFunc}\\s*\\(([^)]*(?:\\([^)]*\\)[^)]*)?)\\)`,
-      's'
-    );
-    const implMatch = dartCode.match(implPattern);
-    
-    if (implMatch) {
-      const [fullMatch] = implMatch;
-      const signature = parseFunctionSignature(`_${actualFunc}`, fullMatch);
-      
-      if (signature) {
-        signature.exportName = exportName;
-        functions.push(signature);
-      }
+    const impl = declarations.find(d => d.kind === 'function' && d.name === assignment.name);
+    if (!impl) {
+      context.warn(assignment, `${assignment.name} is not a function declared in this file, skipping ${exportName}`);
+      continue;
     }
+
+    const deprecation = impl.annotations.find(a => a.name === 'Deprecated' || a.name === 'deprecated');
+
+    functions.push({
+      name: impl.name.replace('_', '').replace('Impl', ''),
+      exportName,
+      docs: impl.docs ?? [],
+      deprecated: deprecation ? (deprecation.positional[0] ?? '') : null,
+      docParams: docParamNames(impl.params, context),
+      returnType: dartTypeToTS(impl.returnType, context),
+      params: convertParams(impl.params, context),
+      // Functions and async iterables can't be posted between threads
+      worker: !impl.params.some(p => takesFunction(p.type, context)) && impl.returnType?.name !== 'JSAsyncIterable',
+    });
   }
   
   return functions;
 }
 
+/**
+ * Convert Dart doc comment lines into TSDoc lines
+ *
+ * Paragraphs starting with [param] become @param tags and later paragraphs
+ * starting with "Returns" become @returns, following the Effective Dart doc
+ * style where a summary may itself start with "Returns".
+ */
+function dartDocsToTSDoc(func) {
+  const paragraphs = [];
+  let current = [];
+  let inCode = false;
+  for (const line of func.docs) {
+    if (line.startsWith('```')) {
+      inCode = !inCode;
+    }
+    if (line.trim() === '' && !inCode) {
+      if (current.length > 0) paragraphs.push(current);
+      current = [];
+    } else {
+      current.push(line);
+    }
+  }
+  if (current.length > 0) paragraphs.push(current);
+
+  const description = [];
+  const tags = [];
+
+  for (const paragraph of paragraphs) {
+    // [name] references become code spans outside of code blocks
+    const text = paragraph[0].startsWith('```')
+      ? paragraph
+      : paragraph.map(line => line.replace(/\[(\w+)\]/g, '`$1`'));
+
+    const param = /^\[(\w+)\]/.exec(paragraph[0]);
+    if (param && func.docParams.has(param[1])) {
+      tags.push(`@param ${func.docParams.get(param[1])} - ${text.join(' ')}`);
+    } else if (description.length > 0 && /^Returns\b/.test(paragraph[0])) {
+      const returns = text.join(' ').replace(/^Returns\s*/, '');
+      tags.push(`@returns ${returns[0]?.toUpperCase() ?? ''}${returns.slice(1)}`);
+    } else {
+      if (description.length > 0) description.push('');
+      description.push(...text);
+    }
+  }
+
+  if (func.deprecated !== null) {
+    tags.push(func.deprecated ? `@deprecated ${func.deprecated}` : '@deprecated');
+  }
+
+  if (description.length === 0) {
+    description.push(`${func.exportName} - Dart function exposed to JavaScript`);
+  }
+
+  const lines = tags.length > 0 ? [...description, '', ...tags] : description;
+  return lines.map(line => line.replace(/\*\//g, '*\\/'));
+}
+
+/**
+ * Group functions by their dotted export path, e.g. math.quickSort
+ */
+function buildNamespaceTree(functions) {
+  const root = { path: [], functions: [], children: new Map() };
+
+  for (const func of functions) {
+    const path = func.exportName.split('.');
+    let node = root;
+    for (const segment of path.slice(0, -1)) {
+      if (!node.children.has(segment)) {
+        node.children.set(segment, { path: [...node.path, segment], functions: [], children: new Map() });
+      }
+      node = node.children.get(segment);
+    }
+    node.functions.push({ ...func, memberName: path[path.length - 1] });
+  }
+
+  return root;
+}
+
+/**
+ * Interface name for a namespace, e.g. math.linalg -> DartBridgeMathLinalg
+ */
+function interfaceName(path) {
+  return 'DartBridge' + path.map(s => s[0].toUpperCase() + s.slice(1)).join('');
+}
+
+/**
+ * Generate one interface per namespace, parents before children
+ */
+function generateNamespaceInterfaces(node) {
+  const members = node.functions.map(func => {
+    const paramsList = func.params.map(formatParam).join(', ');
+
+    const docs = dartDocsToTSDoc(func).map(line => line ? `   * ${line}` : '   *').join('\n');
+
+    return `  /**
+${docs}
+   */
+  ${func.memberName}: (${paramsList}) => ${func.returnType};`;
+  });
+
+  // Runtime objects mapping each enum name to itself, e.g. dartbridge.SortOrder
+  for (const name of node.enums ?? []) {
+    members.push(`  /**
+   * Values of the ${name} enum
+   */
+  ${name}: { readonly [K in ${name}]: K };`);
+  }
+
+  // Error classes for instanceof checks, e.g. dartbridge.DartStateError
+  if (node.path.length === 0) {
+    for (const [name] of BRIDGE_ERRORS) {
+      members.push(`  /**
+   * ${name} class, for \`instanceof\` checks
+   */
+  ${name}: DartBridgeErrorClass<${name}>;`);
+    }
+  }
+
+  for (const [name, child] of node.children) {
+    members.push(`  /**
+   * ${child.path.join('.')} - Dart namespace
+   */
+  ${name}: ${interfaceName(child.path)};`);
+  }
+
+  const description = node.path.length === 0
+    ? 'Main Dart bridge interface'
+    : `Functions in the ${NAMESPACE}.${node.path.join('.')} namespace`;
+
+  const declaration = `/**
+ * ${description}
+ */
+export interface ${interfaceName(node.path)} {
+${members.join('\n\n')}
+}`;
+
+  return [declaration, ...[...node.children.values()].map(generateNamespaceInterfaces)].join('\n\n');
+}
+
+/**
+ * Generate the interfaces of a bridge hosted in a worker, parents before
+ * children: the same members, with every function returning a promise
+ *
+ * Functions taking callbacks or returning streams are left out, as functions
+ * and async iterables can't be posted between threads.
+ */
+function generateAsyncInterfaces(node) {
+  const members = node.functions
+    .filter(func => func.worker)
+    .map(func => {
+      const paramsList = func.params.map(formatParam).join(', ');
+      const returnType = func.returnType.startsWith('Promise<') ? func.returnType : `Promise<${func.returnType}>`;
+
+      const docs = dartDocsToTSDoc(func).map(line => line ? `   * ${line}` : '   *').join('\n');
+
+      return `  /**
+${docs}
+   */
+  ${func.memberName}: (${paramsList}) => ${returnType};`;
+    });
+
+  for (const name of node.enums ?? []) {
+    members.push(`  /**
+   * Values of the ${name} enum
+   */
+  ${name}: { readonly [K in ${name}]: K };`);
+  }
+
+  if (node.path.length === 0) {
+    for (const [name] of BRIDGE_ERRORS) {
+      members.push(`  /**
+   * ${name} class, for \`instanceof\` checks
+   */
+  ${name}: DartBridgeErrorClass<${name}>;`);
+    }
+  }
+
+  for (const [name, child] of node.children) {
+    members.push(`  /**
+   * ${child.path.join('.')} - Dart namespace
+   */
+  ${name}: Async${interfaceName(child.path)};`);
+  }
+
+  const description = node.path.length === 0
+    ? 'Dart bridge hosted in a worker by createDartBridge({ worker: true })'
+    : `Functions in the ${NAMESPACE}.${node.path.join('.')} namespace of a worker bridge`;
+
+  const declaration = `/**
+ * ${description}
+ */
+export interface Async${interfaceName(node.path)} {
+${members.join('\n\n')}
+}`;
+
+  return [declaration, ...[...node.children.values()].map(generateAsyncInterfaces)].join('\n\n');
+}
+
+/**
+ * Generate a string-literal union for every enum used by the bridge
+ */
+function generateEnumTypes(context) {
+  return [...context.enums].map(([name, { docs, values }]) => {
+    const lines = docs.length > 0
+      ? docs.map(line => line.replace(/\[(\w+)\]/g, '`$1`').replace(/\*\//g, '*\\/'))
+      : [`${tsInterfaceName(name)} - Dart enum exposed to JavaScript`];
+
+    return `/**
+${lines.map(line => line ? ` * ${line}` : ' *').join('\n')}
+ */
+export type ${tsInterfaceName(name)} = ${values.map(value => `'${value}'`).join(' | ')};`;
+  });
+}
+
+/**
+ * Generate the error types Dart exceptions reach JS as
+ */
+function generateErrorTypes() {
+  const [[base], ...subclasses] = BRIDGE_ERRORS;
+
+  return [`/**
+ * Error thrown by a bridge function, or rejecting its promise, when the Dart
+ * code throws
+ */
+export interface ${base} extends Error {
+  /**
+   * Runtime type of the Dart exception, minified in production builds
+   */
+  readonly dartType: string;
+
+  /**
+   * Dart stack trace of the exception
+   */
+  readonly dartStack: string;
+}`, ...subclasses.map(([name, parent, reports]) => `/**
+ * Reports ${reports}
+ */
+export interface ${name} extends ${parent} {}`), `/**
+ * Constructor of a bridge error class on dartbridge
+ */
+export interface DartBridgeErrorClass<T extends ${base}> {
+  new (message?: string): T;
+  readonly prototype: T;
+}`];
+}
+
+/**
+ * Generate the interfaces for data classes used by the bridge
+ *
+ * Emitting one interface can reference further data classes, so this runs
+ * until every interface in context.interfaces has been written.
+ */
+function generateDataInterfaces(context) {
+  const declarations = [];
+  const emitted = new Set();
+
+  for (let pending = [...context.interfaces]; pending.length > 0;
+       pending = [...context.interfaces].filter(([name]) => !emitted.has(name))) {
+    for (const [name, extensionType] of pending) {
+      emitted.add(name);
+
+      const types = objectMembers(extensionType, context);
+      const members = extensionType.getters.map((getter, i) => {
+        const docs = (getter.docs ?? []).map(line => line.replace(/\[(\w+)\]/g, '`$1`').replace(/\*\//g, '*\\/'));
+        const comment = docs.length > 0
+          ? `  /**\n${docs.map(line => line ? `   * ${line}` : '   *').join('\n')}\n   */\n`
+          : '';
+        return `${comment}  ${types[i]};`;
+      });
+
+      const docs = extensionType.docs.length > 0
+        ? extensionType.docs.map(line => line.replace(/\[(\w+)\]/g, '`$1`').replace(/\*\//g, '*\\/'))
+        : [`${name} - Dart class exposed to JavaScript`];
+
+      declarations.push(`/**
+${docs.map(line => line ? ` * ${line}` : ' *').join('\n')}
+ */
+export interface ${name} {
+${members.join(members.some(m => m.includes('/**')) ? '\n\n' : '\n')}
+}`);
+    }
+  }
+
+  return declarations;
+}
+
 /**
  * Generate TypeScript interface from functions
  */
-function generateTSInterface(functions) {
+function generateTSInterface(functions, context) {
   const header = `/**
  * TypeScript definitions for Dart-compiled JavaScript interop
  * 
  * AUTO-GENERATED - DO NOT EDIT MANUALLY
- * Generated from: dart/interop.dart
+ * Generated from: ${context.file}
  * 
  * To regenerate: npm run generate-types
  */
@@ -160,35 +701,294 @@ function generateTSInterface(functions) {
  */
 declare global {
   interface Window {
-    dartbridge: DartBridge;
+    ${NAMESPACE}: DartBridge;
   }
 
-  const dartbridge: DartBridge;
+  const ${NAMESPACE}: DartBridge;
 }
+`;
 
-/**
- * Main Dart bridge interface
+  const tree = buildNamespaceTree(functions);
+  tree.enums = [...context.enums.keys()].map(tsInterfaceName);
+
+  const interfaces = [
+    generateNamespaceInterfaces(tree),
+    generateAsyncInterfaces(tree),
+    ...generateEnumTypes(context),
+    ...generateDataInterfaces(context),
+    ...generateErrorTypes(),
+  ];
+
+  if (context.usesJson) {
+    interfaces.push(`/**
+ * JSON-like value passed to or from a Dart dynamic or Object
  */
-export interface DartBridge {`;
+export type JsonValue = string | number | boolean | null | JsonValue[] | { [key: string]: JsonValue };`);
+  }
 
-  const methods = functions.map(func => {
-    const paramsList = func.params
-      .map(p => `${p.name}: ${p.type}`)
-      .join(', ');
-    
-    return `  /**
-   * ${func.exportName} - Dart function exposed to JavaScript
-   */
-  ${func.exportName}: (${paramsList}) => ${func.returnType};`;
-  }).join('\n\n');
 
   const footer = `
+export {};
+`;
+
+  return header + '\n' + interfaces.join('\n\n') + '\n' + footer;
 }
 
-export {};
+// Words JavaScript reserves that are fine as Dart names, so can't be named
+// exports of the ES module
+const JS_RESERVED = new Set([
+  'await', 'delete', 'export', 'function', 'implements', 'import', 'instanceof',
+  'interface', 'let', 'package', 'private', 'protected', 'public', 'static',
+  'typeof', 'yield', 'default',
+]);
+
+/**
+ * Property key for name in an object literal
+ */
+function propertyKey(name) {
+  return /^[A-Za-z_$][\w$]*$/.test(name) ? name : JSON.stringify(name);
+}
+
+/**
+ * Member access of name, dotted where it is an identifier
+ */
+function memberAccess(name) {
+  return /^[A-Za-z_$][\w$]*$/.test(name) ? `.${name}` : `[${JSON.stringify(name)}]`;
+}
+
+/**
+ * Object literal of the functions and namespaces below node, each calling
+ * into the bridge load() returns
+ */
+function namespaceObject(node, indent) {
+  const path = node.path.map(segment => `.${segment}`).join('');
+  const members = [
+    ...node.functions.map(func =>
+      `${propertyKey(func.memberName)}: (...args) => load()${path}${memberAccess(func.memberName)}(...args),`),
+    ...[...node.children].map(([name, child]) => `${propertyKey(name)}: ${namespaceObject(child, `${indent}  `)},`),
+  ];
+  return `{\n${members.map(member => `${indent}  ${member}`).join('\n')}\n${indent}}`;
+}
+
+/**
+ * Generate the ES module wrapper for one compiled bundle and its .d.mts
+ *
+ * Root functions become function declarations, so bundlers can drop unused
+ * ones; namespaces, enum values and error classes are exported as values.
+ * Importing the wrapper runs nothing: the first call loads the bundle
+ * through the createBridge() of its ES module form (see bundle-module.mjs),
+ * so globalThis is never written.
+ */
+function generateModule(functions, context, bundle, typesFile) {
+  const tree = buildNamespaceTree(functions);
+  const enums = [...context.enums].map(([name, { values }]) => ({ name: tsInterfaceName(name), values }));
+  const errors = BRIDGE_ERRORS.map(([name]) => name);
+
+  const members = [
+    ...tree.functions.map(func => ({ name: func.memberName, func })),
+    ...[...tree.children].map(([name, child]) => ({ name, child })),
+    ...enums.map(({ name, values }) => ({ name, values })),
+    ...errors.map(name => ({ name, error: true })),
+  ];
+  const named = members.filter(({ name }) => {
+    if (JS_RESERVED.has(name)) {
+      context.warn({ line: 0 }, `'${name}' is a reserved word in JavaScript, only available on the default export`);
+      return false;
+    }
+    return true;
+  });
+
+  const banner = `// GENERATED CODE - DO NOT MODIFY BY HAND
+//
+// ES module wrapper around ${bundle}, generated by
+// scripts/generate-types.mjs. To regenerate: npm run generate-types
+`;
+
+  const value = ({ name, func, child, values, error }) => func
+    ? `(...args) => load()${memberAccess(name)}(...args)`
+    : child ? namespaceObject(child, '')
+    : values ? `{ ${values.map(v => `${propertyKey(v)}: ${JSON.stringify(v)}`).join(', ')} }`
+    : error ? `/* @__PURE__ */ errorClass(${JSON.stringify(name)})`
+    : '';
+
+  const js = `${banner}
+import createBridge from './${bundle.replace(/\.js$/, '.esm.js')}';
+
+let loaded;
+
+// The bundle runs on the first call, registering the bridge on a global
+// scope of its own rather than on globalThis
+function load() {
+  return loaded ??= createBridge();
+}
+
+// Stands in for one of the bridge's error classes until it is loaded
+function errorClass(name) {
+  const ErrorClass = function (...args) {
+    return new (load()[name])(...args);
+  };
+  Object.defineProperty(ErrorClass, 'name', { value: name });
+  Object.defineProperty(ErrorClass, Symbol.hasInstance, { value: error => error instanceof load()[name] });
+  return ErrorClass;
+}
+
+${named.map(member => member.func
+  ? `export function ${member.name}(...args) {
+  return load().${member.name}(...args);
+}`
+  : `export const ${member.name} = ${value(member)};`).join('\n\n')}
+
+const bridge = {
+${members.map(member => named.includes(member)
+  ? `  ${member.name},`
+  : `  ${propertyKey(member.name)}: ${value(member)},`).join('\n')}
+};
+
+export default bridge;
+`;
+
+  // Enums and errors are both a type and a value, the type is re-declared
+  // so the local value doesn't hide it
+  const typeOnly = [...enums.map(({ name }) => name), ...errors].filter(name => named.some(n => n.name === name));
+  const typesModule = `./${basename(typesFile).replace(/\.d\.ts$/, '.js')}`;
+  const dts = `${banner}
+import type {
+${['DartBridge', ...typeOnly.map(name => `${name} as ${name}Type`)].map(name => `  ${name},`).join('\n')}
+} from '${typesModule}';
+
+export type * from '${typesModule}';
+${typeOnly.map(name => `export type ${name} = ${name}Type;`).join('\n')}
+
+declare const bridge: DartBridge;
+export default bridge;
+
+${named.map(({ name, func }) => {
+    const docs = func
+      ? `/**\n${dartDocsToTSDoc(func).map(line => line ? ` * ${line}` : ' *').join('\n')}\n */\n`
+      : '';
+    return `${docs}export declare const ${name}: DartBridge['${name}'];`;
+  }).join('\n\n')}
+`;
+
+  return { js, dts };
+}
+
+/**
+ * Generate the types of `import bridge from './interop.dart'`, the module
+ * js-runtime/dart-hooks.mjs returns has the exports of the ES module wrapper
+ */
+function generateDartModuleTypes(typesFile, moduleFile) {
+  let specifier = relative(dirname(typesFile), moduleFile).replace(/\\/g, '/');
+  if (!specifier.startsWith('.')) {
+    specifier = `./${specifier}`;
+  }
+  return `// GENERATED CODE - DO NOT MODIFY BY HAND
+//
+// Types of importing the Dart file with js-runtime/register.mjs, generated
+// by scripts/generate-types.mjs. To regenerate: npm run generate-types
+
+export * from '${specifier}';
+export { default } from '${specifier}';
 `;
+}
+
+/**
+ * Generate bridges.d.ts, the DartBridge and AsyncDartBridge types of every
+ * entry by name
+ */
+function generateBridgeRegistry(entries) {
+  const registry = type => entries.map(entry => {
+    const key = /^[A-Za-z_$][\w$]*$/.test(entry.name) ? entry.name : JSON.stringify(entry.name);
+    return `  ${key}: import('./${entry.name}.js').${type};`;
+  }).join('\n');
+  return `/**
+ * DartBridge types of the entry points in dartinjs.config, by entry name,
+ * and their AsyncDartBridge types for bridges hosted in a worker
+ *
+ * AUTO-GENERATED - DO NOT EDIT MANUALLY
+ * To regenerate: npm run generate-types
+ */
 
-  return header + '\n' + methods + '\n' + footer;
+export interface DartBridges {
+${registry('DartBridge')}
+}
+
+export interface AsyncDartBridges {
+${registry('AsyncDartBridge')}
+}
+`;
+}
+
+/**
+ * Generate the types, ES module wrappers and export manifest of one Dart
+ * interop file, named after typesFile
+ */
+function generateEntry(input, typesFile, namespace) {
+  NAMESPACE = namespace;
+  BRIDGE_PREFIX = `globalThis.${namespace}.`;
+
+  console.log(`🔍 Reading Dart interop file ${input}...`);
+  const dartCode = readFileSync(input, 'utf-8');
+  const file = relative(rootDir, input).replace(/\\/g, '/');
+
+  console.log('📝 Parsing function signatures...');
+  const unit = parseDart(dartCode, file);
+  const context = {
+    file,
+    extensionTypes: new Map(),
+    interfaces: new Map(),
+    enums: new Map(),
+    warn: (node, message) => console.warn(`⚠️  ${file}:${node.line}: ${message}`),
+  };
+  const functions = extractFunctions(unit, context);
+
+  if (functions.length === 0) {
+    console.warn('⚠️  No functions found in Dart interop file');
+    return;
+  }
+
+  console.log(`✅ Found ${functions.length} functions:`);
+  functions.forEach(func => {
+    const params = func.params.map(formatParam).join(', ');
+    console.log(`   - ${func.exportName}(${params}): ${func.returnType}`);
+  });
+
+  console.log('\n🔨 Generating TypeScript definitions...');
+  const tsContent = generateTSInterface(functions, context);
+
+  // outDir is only created by the build, which may not have run yet
+  mkdirSync(dirname(typesFile), { recursive: true });
+  writeFileSync(typesFile, tsContent, 'utf-8');
+  console.log(`✅ TypeScript definitions written to: ${typesFile}`);
+
+  console.log('\n📦 Generating ES module wrappers...');
+  const outputDir = dirname(typesFile);
+  const name = basename(typesFile, '.d.ts');
+  for (const bundle of [`${name}.js`, `${name}.dev.js`]) {
+    const { js, dts } = generateModule(functions, context, bundle, typesFile);
+    const modulePath = join(outputDir, bundle.replace(/\.js$/, '.mjs'));
+    writeFileSync(modulePath, js, 'utf-8');
+    writeFileSync(modulePath.replace(/\.mjs$/, '.d.mts'), dts, 'utf-8');
+    console.log(`✅ ES module written to: ${modulePath}`);
+  }
+
+  if (DART_TYPES) {
+    const dartTypesPath = join(dirname(input), `${basename(input, extname(input))}.d.dart.ts`);
+    writeFileSync(dartTypesPath, generateDartModuleTypes(dartTypesPath, join(outputDir, `${name}.mjs`)), 'utf-8');
+    console.log(`✅ Dart import types written to: ${dartTypesPath}`);
+  }
+
+  // Lets loadDartBridge() find the bridge and wait until main() has
+  // registered every function, and worker bridges leave out the ones their
+  // types do
+  const exportsPath = join(outputDir, `${name}.exports.json`);
+  const manifest = {
+    namespace,
+    functions: functions.map(func => func.exportName),
+    notInWorker: functions.filter(func => !func.worker).map(func => func.exportName),
+  };
+  writeFileSync(exportsPath, JSON.stringify(manifest, null, 2) + '\n', 'utf-8');
+  console.log(`✅ Export manifest written to: ${exportsPath}`);
 }
 
 /**
@@ -196,29 +996,29 @@ export {};
  */
 function main() {
   try {
-    console.log('🔍 Reading Dart interop file...');
-    const dartCode = readFileSync(DART_INTEROP_FILE, 'utf-8');
-    
-    console.log('📝 Parsing function signatures...');
-    const functions = extractFunctions(dartCode);
-    
-    if (functions.length === 0) {
-      console.warn('⚠️  No functions found in Dart interop file');
+    const input = getArg('--input');
+    if (input !== undefined) {
+      // Entries of the configuration keep their namespace
+      const entry = config.entries.find(entry => entry.entry === resolve(input));
+      generateEntry(input, getArg('--output') ?? join(config.outDir, `${entry?.name ?? 'interop'}.d.ts`),
+        entry?.namespace ?? config.namespace);
       return;
     }
-    
-    console.log(`✅ Found ${functions.length} functions:`);
-    functions.forEach(func => {
-      const params = func.params.map(p => `${p.name}: ${p.type}`).join(', ');
-      console.log(`   - ${func.exportName}(${params}): ${func.returnType}`);
-    });
-    
-    console.log('\n🔨 Generating TypeScript definitions...');
-    const tsContent = generateTSInterface(functions);
-    
-    writeFileSync(TS_OUTPUT_FILE, tsContent, 'utf-8');
-    console.log(`✅ TypeScript definitions written to: ${TS_OUTPUT_FILE}`);
-    
+
+    const only = getArg('--entry');
+    const entries = config.entries.filter(entry => only === undefined || entry.name === only);
+    if (entries.length === 0) {
+      throw new Error(`No entry named '${only}', expected one of: ${config.entries.map(entry => entry.name).join(', ')}`);
+    }
+    for (const [index, entry] of entries.entries()) {
+      if (index > 0) console.log('');
+      generateEntry(entry.entry, join(config.outDir, `${entry.name}.d.ts`), entry.namespace);
+    }
+
+    const registryPath = join(config.outDir, 'bridges.d.ts');
+    writeFileSync(registryPath, generateBridgeRegistry(config.entries), 'utf-8');
+    console.log(`\n✅ Bridge registry written to: ${registryPath}`);
+
   } catch (error) {
     console.error('❌ Error:', error.message);
     process.exit(1);
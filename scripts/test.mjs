@@ -6,9 +6,13 @@
  */
 
 import { execSync } from 'child_process';
-import { existsSync, readFileSync } from 'fs';
+import { existsSync, readdirSync, readFileSync, writeFileSync, mkdtempSync, rmSync, mkdirSync, copyFileSync, symlinkSync, utimesSync } from 'fs';
+import { tmpdir } from 'os';
 import { join, dirname } from 'path';
-import { fileURLToPath } from 'url';
+import { fileURLToPath, pathToFileURL } from 'url';
+import { parseType, formatType } from './dart-parser.mjs';
+import { validateConfig } from './config.mjs';
+import { writeBundleModule } from './bundle-module.mjs';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -51,6 +55,68 @@ function assert(condition, message) {
   }
 }
 
+/**
+ * Run the type generator on a Dart interop snippet and return the .d.ts
+ * (or the warnings printed, with { output: 'stderr' })
+ */
+function generateTypesFor(dartCode, { output: read = 'dts' } = {}) {
+  const dir = mkdtempSync(join(tmpdir(), 'dartinjs-'));
+  try {
+    const input = join(dir, 'interop.dart');
+    const output = join(dir, 'interop.d.ts');
+    writeFileSync(input, dartCode, 'utf-8');
+    const result = execSync(`node scripts/generate-types.mjs --input "${input}" --output "${output}" 2>&1`, {
+      cwd: rootDir,
+      stdio: 'pipe',
+      encoding: 'utf-8'
+    });
+    if (read === 'stderr') return result;
+    return readFileSync(read === 'manifest' ? join(dir, 'interop.exports.json') : output, 'utf-8');
+  } catch (error) {
+    throw new Error(error.stdout?.trim() || error.message);
+  } finally {
+    rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+// The shared loader, which the loader tests run against stand-in bundles
+const LOADER_FILES = ['shared/dartloader.ts', 'shared/sourcemap.ts'];
+
+/**
+ * Call fn in a temporary ES module package with copies of the repository
+ * files in copies, symlinks to the ones in links (a list, or path → target)
+ * and files (path → content), then remove it
+ *
+ * fn gets the directory and tsx(script, { args, cwd, env, timeout }), which
+ * runs a TypeScript file of the package and returns its trimmed output.
+ */
+function withScratchPackage({ copies = LOADER_FILES, links = [], files = {} }, fn) {
+  const dir = mkdtempSync(join(tmpdir(), 'dartinjs-'));
+  const write = (path, make) => {
+    mkdirSync(dirname(join(dir, path)), { recursive: true });
+    make(join(dir, path));
+  };
+  try {
+    writeFileSync(join(dir, 'package.json'), '{ "type": "module" }', 'utf-8');
+    copies.forEach(path => write(path, to => copyFileSync(join(rootDir, path), to)));
+    const linked = Array.isArray(links) ? links.map(path => [path, path]) : Object.entries(links);
+    linked.forEach(([path, target]) => write(path, to => symlinkSync(join(rootDir, target), to, 'junction')));
+    Object.entries(files).forEach(([path, content]) => write(path, to => writeFileSync(to, content, 'utf-8')));
+
+    const tsx = (script, { args = '', cwd = '', env = {}, timeout = 60000 } = {}) =>
+      execSync(`"${join(rootDir, 'node_modules', '.bin', 'tsx')}" "${join(dir, script)}" ${args}`, {
+        cwd: join(dir, cwd),
+        stdio: 'pipe',
+        encoding: 'utf-8',
+        timeout,
+        env: { ...process.env, ...env }
+      }).trim();
+    return fn({ dir, tsx });
+  } finally {
+    rmSync(dir, { recursive: true, force: true });
+  }
+}
+
 console.log('');
 log('================================', colors.blue);
 log('DartInJS Test Suite', colors.blue);
@@ -75,11 +141,13 @@ test('Node.js is available', () => {
 test('Required files exist', () => {
   const requiredFiles = [
     'dart/interop.dart',
+    'dart/bridge.dart',
     'dart/quick.dart',
     'dart/httpin.dart',
     'dart/pubspec.yaml',
     'package.json',
     'scripts/build-dart.mjs',
+    'scripts/generate-interop.mjs',
     'scripts/generate-types.mjs',
   ];
   
@@ -89,10 +157,250 @@ test('Required files exist', () => {
   });
 });
 
-// Test 2: Type generation
+// Test 2: Interop generation
+console.log('');
+log('Test Group: Interop Generation', colors.yellow);
+
+test('Interop generator runs without errors', () => {
+  execSync('node scripts/generate-interop.mjs', {
+    cwd: rootDir,
+    stdio: 'pipe'
+  });
+});
+
+test('Generated interop.dart is up to date', () => {
+  execSync('node scripts/generate-interop.mjs --check', {
+    cwd: rootDir,
+    stdio: 'pipe'
+  });
+});
+
+test('Every exported setter is assigned in main()', () => {
+  const content = readFileSync(join(rootDir, 'dart', 'interop.dart'), 'utf-8');
+  const setters = [...content.matchAll(/external\s+set\s+(_\w+)\(JSFunction/g)].map(m => m[1]);
+  assert(setters.length > 0, 'No exported setters found');
+  setters.forEach(setter => {
+    assert(content.includes(`${setter} = ${setter}Impl.toJS;`),
+      `${setter} is declared but never assigned in main()`);
+  });
+});
+
+test('Wrappers marshal Dart lists', () => {
+  const content = readFileSync(join(rootDir, 'dart', 'interop.dart'), 'utf-8');
+  assert(content.includes('list.toDart.map((e) => e.toDartInt).toList()'),
+    'quickSort argument is not converted to List<int>');
+  assert(content.includes('result.map((e) => e.toJS).toList().toJS'),
+    'quickSort result is not converted to JSArray');
+});
+
+test('Optional and named parameters fall back to Dart defaults', () => {
+  const content = readFileSync(join(rootDir, 'dart', 'interop.dart'), 'utf-8');
+  assert(content.includes('low?.toDartInt ?? 0'), 'Optional positional default not applied');
+  assert(content.includes('extension type _GreetOptions._(JSObject _) implements JSObject'),
+    'Options extension type not generated');
+  assert(content.includes("greeting: options?.greeting?.toDart ?? 'Hello'"),
+    'Named parameter default not applied');
+});
+
+test('Namespaced exports create their namespace objects', () => {
+  const content = readFileSync(join(rootDir, 'dart', 'interop.dart'), 'utf-8');
+  assert(content.includes("@JS('globalThis.dartbridge.math.quickSort')"),
+    'quickSort is not exported under dartbridge.math');
+  assert(content.indexOf("ensureBridgeNamespace('dartbridge.math');") < content.indexOf('_mathQuickSort = '),
+    'dartbridge.math is not created before quickSort is assigned');
+});
+
+test('Doc comments are copied onto the wrappers', () => {
+  const content = readFileSync(join(rootDir, 'dart', 'interop.dart'), 'utf-8');
+  assert(content.includes("/// Returns the greeting, e.g. `Hello, Ada!`.\nJSString _greetImpl("),
+    'greet docs not copied onto _greetImpl');
+});
+
+test('Data classes and records are marshalled as JS objects', () => {
+  const content = readFileSync(join(rootDir, 'dart', 'interop.dart'), 'utf-8');
+  assert(content.includes('external factory JSStats({'), 'Stats has no object literal constructor');
+  assert(content.includes('range: value.range == null ? null : _record1ToJS(value.range!),'),
+    'Nullable record field not converted');
+  assert(content.includes('return (min: value.min.toDartDouble, max: value.max.toDartDouble);'),
+    'Record not rebuilt from its JS object');
+});
+
+test('Enums cross as validated names', () => {
+  const content = readFileSync(join(rootDir, 'dart', 'interop.dart'), 'utf-8');
+  assert(content.includes("@BridgeEnum(['ascending', 'descending'])"), 'SortOrder names not recorded');
+  assert(content.includes('return SortOrder.values.asNameMap()[name] ??'), 'SortOrder names not validated');
+  assert(content.includes('_sortOrderValues = {'), 'SortOrder values object not registered');
+});
+
+test('Nested maps and lists are converted both ways', () => {
+  const content = readFileSync(join(rootDir, 'dart', 'interop.dart'), 'utf-8');
+  assert(content.includes('mapToDart(groups, (e) => e.toDart.map((e1) => e1.toDartDouble).toList())'),
+    'Map<String, List<num>> argument not converted');
+  assert(content.includes('return mapToJS(result, (e) => _statsToJS(e));'),
+    'Map<String, Stats> result not converted');
+});
+
+test('Typed data is passed without per-element conversion', () => {
+  const content = readFileSync(join(rootDir, 'dart', 'interop.dart'), 'utf-8');
+  assert(content.includes('JSInt32Array _mathQuickSortInt32Impl(JSInt32Array list) {\n  try {\n    final result = quickSortInt32(list.toDart);\n    return result.toJS;'),
+    'Int32List not mapped to JSInt32Array');
+});
+
+test('JS callbacks are wrapped as Dart functions', () => {
+  const content = readFileSync(join(rootDir, 'dart', 'interop.dart'), 'utf-8');
+  // JS comparators return fractions for fractional values, e.g. 0.3 - 0.1
+  assert(/\(a, b\) =>\s+\(compare\.callAsFunction\(null, a\.toJS, b\.toJS\) as JSNumber\)\s*\.toDartDouble/.test(content),
+    'Comparator callback not converted');
+  assert(content.includes('JSCallback<JSPromise Function(JSNumber done, JSNumber total)>? onProgress'),
+    'Typedef callback not resolved');
+  assert(/callbackFuture\(\s*onProgress\.callAsFunction\(null, done\.toJS, total\.toJS\),?\s*\)/.test(content),
+    'Async callback result not awaited');
+});
+
+test('Streams are returned as async iterables', () => {
+  const content = readFileSync(join(rootDir, 'dart', 'interop.dart'), 'utf-8');
+  assert(content.includes('return streamToJS(result, (value) => value.toJS);'), 'Stream not converted');
+  const bridge = readFileSync(join(rootDir, 'dart', 'bridge.dart'), 'utf-8');
+  assert(bridge.includes('await iterator.cancel();'), 'return() does not cancel the subscription');
+});
+
+test('Async calls taking an AbortSignal are abortable', () => {
+  const content = readFileSync(join(rootDir, 'dart', 'interop.dart'), 'utf-8');
+  assert(content.includes('external JSAbortSignal? get signal;'), 'Signal option not generated');
+  assert(content.includes('BridgeAbortSignal.fromJS((options?.signal)!)'), 'Signal not passed to Dart');
+  const bridge = readFileSync(join(rootDir, 'dart', 'bridge.dart'), 'utf-8');
+  assert(bridge.includes('throw BridgeAbortedException(_signal.reason);') &&
+    bridge.includes('if (error is BridgeAbortedException) {\n    return error.reason;'),
+    'throwIfAborted() does not reach JS as the abort reason');
+  assert(/fetchData\(signal: bridgeSignal\);\s+return abortable\([^;]*,\s+bridgeSignal,?\s*\);/.test(content),
+    'Promise not rejected on abort');
+});
+
+test('Dart exceptions are converted to bridge errors', () => {
+  const content = readFileSync(join(rootDir, 'dart', 'interop.dart'), 'utf-8');
+  const impls = content.match(/^\S.* _\w+Impl\(/gm) ?? [];
+  const guarded = content.match(/catch \(error, stackTrace\) \{\n    throwBridgeError\(error, stackTrace\);/g) ?? [];
+  assert(impls.length > 0 && guarded.length === impls.length, 'Not every wrapper converts exceptions');
+  assert(content.includes("installBridgeErrors('dartbridge');"), 'Error classes not installed');
+  assert(content.includes('return bridgePromise(result.then('), 'Async failures do not reject with bridge errors');
+});
+
+// Test 3: Type generation
 console.log('');
 log('Test Group: Type Generation', colors.yellow);
 
+test('Project configuration is validated with clear errors', () => {
+  const defaults = validateConfig({}, 'dartinjs.config.json', '/repo');
+  assert(defaults.entry === join('/repo', 'dart', 'interop.dart') && defaults.outDir === join('/repo', 'dist'),
+    'Paths not defaulted and resolved against the root');
+  assert(defaults.optimization === 4 && defaults.minify === true && defaults.namespace === 'dartbridge',
+    'Compiler defaults changed');
+
+  let message = '';
+  try {
+    validateConfig({ optimization: 5, outdir: 'build', copy: 'public', namespace: 'my-bridge', minify: null },
+      'dartinjs.config.json', '/repo');
+  } catch (error) {
+    message = error.message;
+  }
+  const problems = message.split('\n');
+  assert(problems[0] === 'Invalid dartinjs.config.json:', `Config file not named: ${problems[0]}`);
+  assert(problems.includes("  - unknown option 'outdir', expected one of: entry, outDir, optimization, minify, jsFlags, wasmFlags, copy, namespace, entries"),
+    'Unknown option not reported');
+  assert(problems.includes("  - 'optimization' must be an integer from 0 to 4, got 5"), 'Invalid optimization not reported');
+  assert(problems.includes("  - 'copy' must be an array of directory paths, got \"public\""), 'Invalid copy not reported');
+  assert(problems.includes("  - 'minify' must be true or false, got null"), 'Explicit null not reported');
+  assert(problems.length === 6, `Not every problem reported at once: ${message}`);
+});
+
+test('Generators follow the configured entry, outDir and namespace', () => {
+  const dir = mkdtempSync(join(tmpdir(), 'dartinjs-'));
+  try {
+    mkdirSync(join(dir, 'scripts'));
+    mkdirSync(join(dir, 'src'));
+    for (const file of ['config.mjs', 'dart-parser.mjs', 'generate-interop.mjs', 'generate-types.mjs']) {
+      copyFileSync(join(rootDir, 'scripts', file), join(dir, 'scripts', file));
+    }
+    copyFileSync(join(rootDir, 'dart', 'quick.dart'), join(dir, 'src', 'quick.dart'));
+    writeFileSync(join(dir, 'dartinjs.config.json'),
+      '{ "entry": "src/glue.dart", "outDir": "out", "namespace": "sorting" }', 'utf-8');
+
+    for (const script of ['generate-interop.mjs', 'generate-types.mjs']) {
+      execSync(`node scripts/${script}`, { cwd: dir, stdio: 'pipe' });
+    }
+    const glue = readFileSync(join(dir, 'src', 'glue.dart'), 'utf-8');
+    assert(glue.includes("@JS('globalThis.sorting.math.quickSort')"), 'Setters not on the configured namespace');
+    assert(glue.includes("installBridgeErrors('sorting');"), 'Errors not installed on the configured namespace');
+    const dts = readFileSync(join(dir, 'out', 'interop.d.ts'), 'utf-8');
+    assert(dts.includes('const sorting: DartBridge;') && dts.includes('quickSort: ('), 'Types not generated from the entry');
+    assert(readFileSync(join(dir, 'out', 'interop.mjs'), 'utf-8').includes("import createBridge from './interop.esm.js';"),
+      'ES module wrapper not written to outDir');
+
+    writeFileSync(join(dir, 'dartinjs.config.json'), '{ "entry": 1 }', 'utf-8');
+    let output = '';
+    try {
+      execSync('node scripts/generate-types.mjs', { cwd: dir, stdio: 'pipe', encoding: 'utf-8' });
+    } catch (error) {
+      output = error.stderr;
+    }
+    assert(output.includes(`'entry' must be a path to the generated interop file`), `Invalid config not reported: ${output}`);
+  } finally {
+    rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('Each configured entry gets its own bridge, types and manifest', () => {
+  const dir = mkdtempSync(join(tmpdir(), 'dartinjs-'));
+  try {
+    mkdirSync(join(dir, 'scripts'));
+    mkdirSync(join(dir, 'dart'));
+    for (const file of ['config.mjs', 'dart-parser.mjs', 'generate-interop.mjs', 'generate-types.mjs']) {
+      copyFileSync(join(rootDir, 'scripts', file), join(dir, 'scripts', file));
+    }
+    for (const file of ['hello.dart', 'quick.dart']) {
+      copyFileSync(join(rootDir, 'dart', file), join(dir, 'dart', file));
+    }
+    mkdirSync(join(dir, 'dist'));
+    writeFileSync(join(dir, 'dartinjs.config.json'), JSON.stringify({
+      entries: {
+        interop: { entry: 'dart/interop.dart', namespace: 'dartbridge', sources: ['hello.dart'] },
+        sorting: { entry: 'dart/sorting.dart', sources: ['quick.dart'] },
+      },
+    }), 'utf-8');
+
+    for (const script of ['generate-interop.mjs', 'generate-types.mjs']) {
+      execSync(`node scripts/${script}`, { cwd: dir, stdio: 'pipe' });
+    }
+    const interop = readFileSync(join(dir, 'dart', 'interop.dart'), 'utf-8');
+    const sorting = readFileSync(join(dir, 'dart', 'sorting.dart'), 'utf-8');
+    assert(!interop.includes('quickSort') && sorting.includes("@JS('globalThis.sorting.math.quickSort')"),
+      'Entries not generated from their own sources');
+    const manifest = JSON.parse(readFileSync(join(dir, 'dist', 'sorting.exports.json'), 'utf-8'));
+    assert(manifest.namespace === 'sorting' && manifest.functions.includes('math.quickSort'),
+      `Manifest doesn't describe the entry: ${JSON.stringify(manifest)}`);
+    assert(readFileSync(join(dir, 'dist', 'sorting.mjs'), 'utf-8').includes("import createBridge from './sorting.esm.js';"),
+      'ES module wrapper not around the entry bundle');
+    const bridges = readFileSync(join(dir, 'dist', 'bridges.d.ts'), 'utf-8');
+    assert(bridges.includes("interop: import('./interop.js').DartBridge;") &&
+      bridges.includes("sorting: import('./sorting.js').DartBridge;"), `Bridge registry incomplete: ${bridges}`);
+
+    writeFileSync(join(dir, 'dartinjs.config.json'), JSON.stringify({
+      namespace: 'shared',
+      entries: { a: { entry: 'dart/a.dart' }, b: { entry: 'dart/b.dart', namespace: 'a' } },
+    }), 'utf-8');
+    let output = '';
+    try {
+      execSync('node scripts/generate-types.mjs', { cwd: dir, stdio: 'pipe', encoding: 'utf-8' });
+    } catch (error) {
+      output = error.stderr;
+    }
+    assert(output.includes(`can't be combined with 'entries'`) && output.includes(`entries 'a' and 'b' use the same namespace 'a'`),
+      `Invalid entries not reported: ${output}`);
+  } finally {
+    rmSync(dir, { recursive: true, force: true });
+  }
+});
+
 test('Type generator script exists', () => {
   const scriptPath = join(rootDir, 'scripts', 'generate-types.mjs');
   assert(existsSync(scriptPath), 'generate-types.mjs not found');
@@ -125,7 +433,347 @@ test('TypeScript definitions are auto-generated', () => {
   assert(content.includes('AUTO-GENERATED'), 'Missing auto-generated warning');
 });
 
-// Test 3: Build system
+test('Nullable and optional parameters are typed', () => {
+  const content = generateTypesFor(`
+@JS('globalThis.dartbridge.pad')
+external set _pad(JSFunction f);
+
+JSString? _padImpl(JSString? text, [JSNumber? low, JSArray<JSString?>? fill]) => text;
+
+void main() {
+  _pad = _padImpl.toJS;
+}
+`);
+  assert(content.includes(
+    'pad: (text: string | null, low?: number | null, fill?: (string | null)[] | null) => string | null;'),
+    'Nullable/optional signature not generated correctly');
+});
+
+test('Named parameters become an options object', () => {
+  const content = generateTypesFor(`
+@JS('globalThis.dartbridge.range')
+external set _range(JSFunction f);
+
+JSArray<JSNumber> _rangeImpl(JSNumber low, {required JSNumber high, JSNumber? step}) => [].toJS;
+
+void main() {
+  _range = _rangeImpl.toJS;
+}
+`);
+  assert(content.includes('range: (low: number, options: { high: number; step?: number | null }) => number[];'),
+    'Named parameters not generated as options object');
+});
+
+test('Dart parser handles nested and function types', () => {
+  const types = [
+    'JSArray<JSArray<JSNumber>>?',
+    'Map<String, List<int?>>',
+    'int Function(int a, int b)?',
+    '({int x, String y})',
+  ];
+  types.forEach(type => {
+    assert(formatType(parseType(type)) === type, `${type} did not round-trip`);
+  });
+});
+
+test('Nested generics and blocks in main() are parsed', () => {
+  const content = generateTypesFor(`
+@JS('globalThis.dartbridge.matrix')
+external set _matrix(JSFunction f);
+
+JSArray<JSArray<JSNumber>> _matrixImpl(
+  JSArray<
+    JSArray<JSNumber>
+  > rows,
+) => rows;
+
+void main() {
+  // Nested blocks and comments used to end the main() match early
+  if (true) {
+    print('{ not a block }');
+  }
+  _matrix = _matrixImpl.toJS;
+}
+`);
+  assert(content.includes('matrix: (rows: number[][]) => number[][];'),
+    'Nested generic signature not generated correctly');
+});
+
+test('Parse errors point at the Dart line', () => {
+  let message = '';
+  try {
+    generateTypesFor(`@JS('globalThis.dartbridge.broken')
+external set _broken(JSFunction f);
+
+JSNumber _brokenImpl(JSNumber a {
+`);
+  } catch (error) {
+    message = error.message;
+  }
+  assert(message.includes("interop.dart:4:33: Expected ')' but found '{'"),
+    `Unexpected error message: ${message || 'no error'}`);
+});
+
+test('Setters never assigned in main() are reported', () => {
+  const output = generateTypesFor(`
+@JS('globalThis.dartbridge.orphan')
+external set _orphan(JSFunction f);
+
+void main() {}
+`, { output: 'stderr' });
+  assert(output.includes('interop.dart:3: _orphan is declared but never assigned in main()'),
+    'Unassigned setter not reported');
+});
+
+test('Generated options types are resolved', () => {
+  const dtsPath = join(rootDir, 'dist', 'interop.d.ts');
+  const content = readFileSync(dtsPath, 'utf-8');
+  assert(content.includes('greet: (name: string, options?: { greeting?: string | null; shout?: boolean | null } | null) => string;'),
+    'greet options object not typed');
+  assert(content.includes('quickSort: (list: number[], low?: number | null, high?: number | null) => number[];'),
+    'quickSort optional bounds not typed');
+});
+
+test('Nested namespaces get their own interfaces', () => {
+  const content = generateTypesFor(`
+@JS('globalThis.dartbridge.geo.shapes.area')
+external set _geoShapesArea(JSFunction f);
+
+JSNumber _geoShapesAreaImpl(JSNumber width, JSNumber height) => width;
+
+void main() {
+  _geoShapesArea = _geoShapesAreaImpl.toJS;
+}
+`);
+  assert(content.includes('geo: DartBridgeGeo;'), 'geo namespace missing from DartBridge');
+  assert(content.includes('export interface DartBridgeGeo {\n  /**\n   * geo.shapes - Dart namespace\n   */\n  shapes: DartBridgeGeoShapes;'),
+    'shapes namespace missing from DartBridgeGeo');
+  assert(content.includes('area: (width: number, height: number) => number;'),
+    'area not generated inside its namespace');
+});
+
+test('Dart docs and deprecation become TSDoc', () => {
+  const content = generateTypesFor(`
+@JS('globalThis.dartbridge.scale')
+external set _scale(JSFunction f);
+
+/// Multiplies [value] by a factor.
+///
+/// [value] is the number to scale.
+///
+/// Returns the scaled */ value.
+@Deprecated('Use resize instead')
+JSNumber _scaleImpl(JSNumber value) => value;
+
+void main() {
+  _scale = _scaleImpl.toJS;
+}
+`);
+  assert(content.includes(`  /**
+   * Multiplies \`value\` by a factor.
+   *
+   * @param value - \`value\` is the number to scale.
+   * @returns The scaled *\\/ value.
+   * @deprecated Use resize instead
+   */
+  scale: (value: number) => number;`), 'TSDoc not generated from Dart docs');
+});
+
+test('Data classes become named interfaces', () => {
+  const content = generateTypesFor(`
+/// A point.
+extension type JSPoint._(JSObject _) implements JSObject {
+  external factory JSPoint({required JSNumber x, JSNumber? y});
+
+  external JSNumber get x;
+  external JSNumber? get y;
+}
+
+@JS('globalThis.dartbridge.origin')
+external set _origin(JSFunction f);
+
+JSPoint _originImpl(JSArray<JSPoint> points) => points.toDart.first;
+
+void main() {
+  _origin = _originImpl.toJS;
+}
+`);
+  assert(content.includes('origin: (points: Point[]) => Point;'), 'Point not referenced by name');
+  assert(content.includes(' * A point.\n */\nexport interface Point {\n  x: number;\n  y: number | null;\n}'),
+    'Point interface not generated');
+});
+
+test('Enums become string-literal unions', () => {
+  const content = generateTypesFor(`
+@BridgeEnum(['low', 'high'])
+extension type JSLevel._(JSString _) implements JSString {}
+
+@JS('globalThis.dartbridge.Level')
+external set _levelValues(JSObject values);
+
+@JS('globalThis.dartbridge.clamp')
+external set _clamp(JSFunction f);
+
+JSLevel? _clampImpl(JSLevel level) => level;
+
+void main() {
+  _clamp = _clampImpl.toJS;
+}
+`);
+  assert(content.includes("export type Level = 'low' | 'high';"), 'Level union not generated');
+  assert(content.includes('clamp: (level: Level) => Level | null;'), 'Level not used in signature');
+  assert(content.includes('Level: { readonly [K in Level]: K };'), 'Level values object not typed');
+});
+
+test('Maps and JSON values are typed', () => {
+  const content = generateTypesFor(`
+@JS('globalThis.dartbridge.merge')
+external set _merge(JSFunction f);
+
+JSMap<JSArray<JSMap<JSNumber?>>> _mergeImpl(JSMap<JSJson?> payload, JSJson? extra) => payload;
+
+void main() {
+  _merge = _mergeImpl.toJS;
+}
+`);
+  assert(content.includes(
+    'merge: (payload: Record<string, JsonValue>, extra: JsonValue) => Record<string, Record<string, number | null>[]>;'),
+    'Map/JSON signature not generated correctly');
+  assert(content.includes('export type JsonValue ='), 'JsonValue type not emitted');
+});
+
+test('Typed arrays keep their TypeScript types', () => {
+  const content = generateTypesFor(`
+@JS('globalThis.dartbridge.scale')
+external set _scale(JSFunction f);
+
+JSFloat64Array _scaleImpl(JSUint8Array bytes, JSArray<JSInt32Array?> rows) => JSFloat64Array();
+
+void main() {
+  _scale = _scaleImpl.toJS;
+}
+`);
+  assert(content.includes('scale: (bytes: Uint8Array, rows: (Int32Array | null)[]) => Float64Array;'),
+    'Typed array signature not generated correctly');
+});
+
+test('Callbacks become typed function types', () => {
+  const content = generateTypesFor(`
+@JS('globalThis.dartbridge.watch')
+external set _watch(JSFunction f);
+
+void _watchImpl(
+  JSCallback<JSString Function(JSNumber count)> format, [
+  JSCallback<JSPromise<JSBoolean> Function(JSString, JSArray<JSNumber>)>? check,
+]) {}
+
+void main() {
+  _watch = _watchImpl.toJS;
+}
+`);
+  assert(content.includes(
+    'watch: (format: (count: number) => string, check?: ((arg1: string, arg2: number[]) => boolean | Promise<boolean>) | null) => void;'),
+    'Callback signature not generated correctly');
+});
+
+test('Async iterables are typed', () => {
+  const content = generateTypesFor(`
+@JS('globalThis.dartbridge.ticks')
+external set _ticks(JSFunction f);
+
+JSAsyncIterable<JSArray<JSString?>> _ticksImpl() => throw UnimplementedError();
+
+void main() {
+  _ticks = _ticksImpl.toJS;
+}
+`);
+  assert(content.includes('ticks: () => AsyncIterable<(string | null)[]>;'), 'AsyncIterable not generated');
+});
+
+test('AbortSignal parameters are typed', () => {
+  const content = generateTypesFor(`
+@JS('globalThis.dartbridge.load')
+external set _load(JSFunction f);
+
+extension type _LoadOptions._(JSObject _) implements JSObject {
+  external JSAbortSignal? get signal;
+}
+
+JSPromise<JSString> _loadImpl([_LoadOptions? options]) => throw UnimplementedError();
+
+void main() {
+  _load = _loadImpl.toJS;
+}
+`);
+  assert(content.includes('load: (options?: { signal?: AbortSignal | null } | null) => Promise<string>;'),
+    'AbortSignal not generated');
+});
+
+test('Bridge error types are exported', () => {
+  const content = generateTypesFor(`
+@JS('globalThis.dartbridge.parse')
+external set _parse(JSFunction f);
+
+JSNumber _parseImpl(JSString text) => throw UnimplementedError();
+
+void main() {
+  _parse = _parseImpl.toJS;
+}
+`);
+  assert(content.includes('export interface DartBridgeError extends Error {'), 'DartBridgeError not exported');
+  assert(content.includes('export interface DartRangeError extends DartArgumentError {}'), 'Subclasses not exported');
+  assert(content.includes('DartFormatException: DartBridgeErrorClass<DartFormatException>;'),
+    'Error classes missing from DartBridge');
+});
+
+test('Worker bridges get promise-returning interfaces', () => {
+  const dart = `
+@JS('globalThis.dartbridge.math.sum')
+external set _sum(JSFunction f);
+
+@JS('globalThis.dartbridge.math.load')
+external set _load(JSFunction f);
+
+@JS('globalThis.dartbridge.math.sortWith')
+external set _sortWith(JSFunction f);
+
+@JS('globalThis.dartbridge.math.ticks')
+external set _ticks(JSFunction f);
+
+@JS('globalThis.dartbridge.math.watch')
+external set _watch(JSFunction f);
+
+extension type _WatchOptions._(JSObject _) implements JSObject {
+  external JSCallback<JSAny? Function(JSNumber)>? get onChange;
+}
+
+JSNumber _sumImpl(JSInt32Array values) => throw UnimplementedError();
+JSPromise<JSString> _loadImpl() => throw UnimplementedError();
+JSArray<JSNumber> _sortWithImpl(JSCallback<JSNumber Function(JSNumber, JSNumber)> compare) => throw UnimplementedError();
+JSAsyncIterable<JSNumber> _ticksImpl() => throw UnimplementedError();
+JSNumber _watchImpl([_WatchOptions? options]) => throw UnimplementedError();
+
+void main() {
+  _sum = _sumImpl.toJS;
+  _load = _loadImpl.toJS;
+  _sortWith = _sortWithImpl.toJS;
+  _ticks = _ticksImpl.toJS;
+  _watch = _watchImpl.toJS;
+}
+`;
+  const content = generateTypesFor(dart);
+  const manifest = JSON.parse(generateTypesFor(dart, { output: 'manifest' }));
+  const asyncMath = content.slice(content.indexOf('export interface AsyncDartBridgeMath {'));
+  assert(content.includes('  math: AsyncDartBridgeMath;'), 'AsyncDartBridge not generated');
+  assert(asyncMath.includes('sum: (values: Int32Array) => Promise<number>;'), 'Result not wrapped in a promise');
+  assert(asyncMath.includes('load: () => Promise<string>;'), 'Promise wrapped twice');
+  assert(!asyncMath.includes('sortWith') && !asyncMath.includes('ticks') && !asyncMath.includes('watch'),
+    'Callbacks and streams offered on the worker bridge');
+  assert(manifest.notInWorker.join() === 'math.sortWith,math.ticks,math.watch',
+    `Worker bridges not told what to leave out: ${manifest.notInWorker}`);
+});
+
+// Test 4: Build system
 console.log('');
 log('Test Group: Build System', colors.yellow);
 
@@ -155,13 +803,14 @@ test('Development build includes source maps', () => {
   assert(existsSync(mapPath), 'Source map not found');
 });
 
-// Test 4: Cross-platform compatibility
+// Test 5: Cross-platform compatibility
 console.log('');
 log('Test Group: Cross-Platform', colors.yellow);
 
 test('Scripts use cross-platform paths', () => {
   const scripts = [
     'scripts/build-dart.mjs',
+    'scripts/generate-interop.mjs',
     'scripts/generate-types.mjs',
     'scripts/verify-setup.mjs',
   ];
@@ -178,7 +827,7 @@ test('Platform detection works', () => {
     'Unknown platform');
 });
 
-// Test 5: Dart bridge functionality
+// Test 6: Dart bridge functionality
 console.log('');
 log('Test Group: Dart Bridge', colors.yellow);
 
@@ -188,6 +837,577 @@ test('Compiled JS exposes dartbridge namespace', () => {
   assert(content.includes('dartbridge'), 'dartbridge namespace not found in compiled JS');
 });
 
+test('Comparators returning fractions sort fractional values', () => {
+  const output = execSync(`node --input-type=module -e "${[
+    `await import('${pathToFileURL(join(rootDir, 'dist', 'interop.js')).href}');`,
+    'console.log(globalThis.dartbridge.math.sortWith([0.3, 0.1, 0.2, 0.1], (a, b) => a - b).join());',
+  ].join(' ')}"`, { stdio: 'pipe', encoding: 'utf-8' });
+  assert(output.trim() === '0.1,0.1,0.2,0.3', `Fractional comparator not applied: ${output.trim()}`);
+});
+
+test('ES module wrapper exports the bridge without leaving a global', () => {
+  const dir = mkdtempSync(join(tmpdir(), 'dartinjs-'));
+  try {
+    writeFileSync(join(dir, 'interop.dart'), `
+@JS('globalThis.dartbridge.double')
+external set _double(JSFunction f);
+
+@JS('globalThis.dartbridge.math.half')
+external set _mathHalf(JSFunction f);
+
+JSNumber _doubleImpl(JSNumber value) => throw UnimplementedError();
+
+JSNumber _mathHalfImpl(JSNumber value) => throw UnimplementedError();
+
+void main() {
+  _double = _doubleImpl.toJS;
+  _mathHalf = _mathHalfImpl.toJS;
+}
+`, 'utf-8');
+    execSync(`node scripts/generate-types.mjs --input "${join(dir, 'interop.dart')}" --output "${join(dir, 'interop.d.ts')}"`, {
+      cwd: rootDir,
+      stdio: 'pipe'
+    });
+    assert(existsSync(join(dir, 'interop.d.mts')) && existsSync(join(dir, 'interop.dev.d.mts')), '.d.mts not written');
+
+    // Stand-in for the compiled bundle, registering the bridge as main() does
+    writeFileSync(join(dir, 'interop.js'), [
+      "console.log('loaded');",
+      'globalThis.dartbridge = { double: (x) => x * 2, math: { half: (x) => x / 2 } };',
+    ].join('\n'), 'utf-8');
+    writeBundleModule(join(dir, 'interop.js'), 'dartbridge');
+    const output = execSync(`node --input-type=module -e "${[
+      `import bridge, { double, math } from '${pathToFileURL(join(dir, 'interop.mjs')).href}';`,
+      "console.log('imported');",
+      "console.log(double(2), math.half(2), bridge.math === math, 'dartbridge' in globalThis);",
+    ].join(' ')}"`, { stdio: 'pipe', encoding: 'utf-8' });
+    assert(output.trim() === 'imported\nloaded\n4 1 true false', `Unexpected module behavior: ${output.trim()}`);
+    const wrapper = readFileSync(join(dir, 'interop.mjs'), 'utf-8');
+    assert(!wrapper.includes('globalThis.dartbridge'), 'ES module wrapper reads the bridge from globalThis');
+  } finally {
+    rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('Loaders pick the development or production bundle', () => {
+  const results = withScratchPackage({
+    copies: [...LOADER_FILES, 'js-runtime/dartloader.mjs', 'scripts/config.mjs'],
+    files: {
+      'dist/interop.js': 'globalThis.dartbridge = { bundle: () => "production" };',
+      'dist/interop.dev.js': 'globalThis.dartbridge = { bundle: () => "development" };',
+      'dist/interop.dev.js.map': '{ "version": 3, "sources": [], "names": [], "mappings": "" }',
+      'dist/interop.exports.json': '{ "functions": ["bundle"] }',
+      'load.ts': `
+const [loader, bundle] = process.argv.slice(2);
+const bridge = loader === 'node'
+  ? (await import('./js-runtime/dartloader.mjs')).default
+  : await (await import('./shared/dartloader.ts')).loadDartBridge(bundle ? { bundle: bundle as any } : {});
+console.log(bridge.bundle());
+`,
+    },
+  }, ({ tsx }) => {
+    const load = (args, env) => tsx('load.ts', { args, env: { DART_BUNDLE: '', ...env } });
+    return {
+      production: ['shared', 'node'].map(loader => load(loader, { NODE_ENV: 'production' })),
+      development: ['shared', 'node'].map(loader => load(loader, { NODE_ENV: 'development' })),
+      overridden: ['shared', 'node'].map(loader => load(loader, { NODE_ENV: 'production', DART_BUNDLE: 'development' })),
+      option: load('shared production', { NODE_ENV: 'development' }),
+    };
+  });
+  assert(results.production.every(bundle => bundle === 'production'), `NODE_ENV=production ignored: ${results.production}`);
+  assert(results.development.every(bundle => bundle === 'development'), `Development bundle not loaded: ${results.development}`);
+  assert(results.overridden.every(bundle => bundle === 'development'), `DART_BUNDLE ignored: ${results.overridden}`);
+  assert(results.option === 'production', `options.bundle ignored: ${results.option}`);
+});
+
+test('createDartBridge() loads independent bridges', () => {
+  // Registered on the namespace its manifest names, as for another entry
+  const output = withScratchPackage({
+    files: {
+      'bundle.js': `
+let calls = 0;
+globalThis.counter = { count: () => ++calls, request: signal => fetch('data.json', { signal }) };
+setInterval(() => {}, 1000);
+`,
+      'bundle.exports.json': '{ "namespace": "counter", "functions": ["count"] }',
+      'isolated.ts': `
+import { getEventListeners } from 'node:events';
+import { createDartBridge } from './shared/dartloader.ts';
+delete (globalThis as any).dartbridge;
+globalThis.fetch = async () => new Response('{}');
+const a = await createDartBridge({ url: 'bundle.js' });
+const b = await createDartBridge({ url: 'bundle.js' });
+const counts = [a.bridge.count(), a.bridge.count(), b.bridge.count()];
+// Requests made with a long-lived signal don't leave listeners on it
+const signal = new AbortController().signal;
+await a.bridge.request(signal);
+await a.bridge.request(signal);
+console.log(counts.join(','), 'counter' in globalThis, getEventListeners(signal, 'abort').length);
+a.dispose();
+b.dispose();
+`,
+    },
+  // Exits only if dispose() stopped the bundles' intervals
+  }, ({ tsx }) => tsx('isolated.ts'));
+  assert(output === '1,2,1 false 0', `Bridges are not independent or keep abort listeners: ${output}`);
+});
+
+test('loadDartBridge() waits for every exported function', () => {
+  const output = withScratchPackage({
+    files: {
+      'slow.exports.json': '{ "functions": ["greet", "math.sum"] }',
+      'broken.exports.json': '{ "functions": ["greet", "math.sum"] }',
+      // One bundle registers math.sum late, the other never does
+      'slow.js': `
+globalThis.dartbridge = { greet: () => 'hi' };
+setTimeout(() => { globalThis.dartbridge.math = { sum: (a, b) => a + b }; }, 50);
+`,
+      'broken.js': 'globalThis.dartbridge = { greet: () => "hi" };',
+      'load.ts': `
+import { loadDartBridge } from './shared/dartloader.ts';
+const [a, b] = await Promise.all([loadDartBridge({ url: 'slow.js' }), loadDartBridge({ url: 'slow.js' })]);
+console.log(a === b, a.math.sum(1, 2));
+console.log(await loadDartBridge({ url: 'broken.js', timeout: 100 }).catch(error => error.message));
+`,
+    },
+  }, ({ tsx }) => tsx('load.ts'));
+  const [loaded, timedOut] = output.split('\n');
+  assert(loaded === 'true 3', `Bridge not loaded once and completely: ${loaded}`);
+  assert(/not ready after 100 ms, missing: dartbridge\.math\.sum$/.test(timedOut),
+    `Timeout doesn't name the missing function: ${timedOut}`);
+});
+
+test('loadDartBridge({ entry }) loads each entry under its own namespace', () => {
+  const output = withScratchPackage({
+    files: {
+      'dist/interop.js': 'globalThis.dartbridge = { greet: () => "interop" };',
+      'dist/interop.exports.json': '{ "namespace": "dartbridge", "functions": ["greet"] }',
+      'dist/sorting.js': `
+globalThis.sorting = {};
+setTimeout(() => { globalThis.sorting.math = { quickSort: list => [...list].sort() }; }, 50);
+`,
+      'dist/sorting.exports.json': '{ "namespace": "sorting", "functions": ["math.quickSort"] }',
+      'dist/stats.js': 'globalThis.stats = {};',
+      'dist/stats.exports.json': '{ "namespace": "stats", "functions": ["mean"] }',
+      'load.ts': `
+import { loadDartBridge } from './shared/dartloader.ts';
+const [interop, sorting] = await Promise.all([
+  loadDartBridge({ bundle: 'production' }),
+  loadDartBridge({ bundle: 'production', entry: 'sorting' as any }),
+]);
+console.log(interop.greet(), (sorting as any).math.quickSort([3, 1, 2]).join(','));
+console.log(await loadDartBridge({ bundle: 'production', entry: 'stats' as any, timeout: 100 }).catch(error => error.message));
+`,
+    },
+  }, ({ tsx }) => tsx('load.ts'));
+  const [loaded, timedOut] = output.split('\n');
+  assert(loaded === 'interop 1,2,3', `Entries not loaded side by side: ${loaded}`);
+  assert(/stats\.js was not ready after 100 ms, missing: stats\.mean$/.test(timedOut),
+    `Timeout doesn't name the entry's namespace: ${timedOut}`);
+});
+
+test('Loaders follow the configured outDir and namespace', () => {
+  const output = withScratchPackage({
+    copies: [...LOADER_FILES, 'js-runtime/dartloader.mjs', 'scripts/config.mjs'],
+    files: {
+      'dartinjs.config.json': '{ "outDir": "build/web", "namespace": "sorting" }',
+      'build/web/interop.js': 'globalThis.sorting = { greet: () => "hi" };',
+      'build/web/interop.exports.json': '{ "namespace": "sorting", "functions": ["greet"] }',
+      // A bundle of another entry, named by createDartBridge({ entry })
+      'build/web/stats.js': 'globalThis.stats = { mean: () => 2 };',
+      'build/web/stats.exports.json': '{ "namespace": "stats", "functions": ["mean"] }',
+      'load.ts': `
+import { createDartBridge, getDartBridge, initDartBridge } from './shared/dartloader.ts';
+const bridge = await initDartBridge();
+const { bridge: isolated, dispose } = await createDartBridge();
+const { bridge: stats, dispose: disposeStats } = await createDartBridge({ entry: 'stats' });
+const { default: ready } = await import('./js-runtime/dartloader.mjs');
+console.log(bridge.greet(), getDartBridge() === bridge, isolated.greet(), ready === bridge, 'dartbridge' in globalThis, stats.mean());
+dispose();
+disposeStats();
+`,
+    },
+  }, ({ tsx }) => tsx('load.ts', { env: { DART_BUNDLE: 'production' } }));
+  assert(output === 'hi true hi true false 2', `Loaders ignore outDir, namespace or entry: ${output}`);
+});
+
+test('loadDartBridge({ wasm: true }) falls back to JS without WasmGC', () => {
+  const [wasm, js] = withScratchPackage({
+    files: {
+      'dist/interop.js': 'globalThis.dartbridge = { greet: () => "js" };',
+      'dist/interop.exports.json': '{ "functions": ["greet"] }',
+      // Stand-in for the glue dart compile wasm writes next to the .wasm
+      'dist/wasm/interop.wasm': 'wasm',
+      'dist/wasm/interop.exports.json': '{ "functions": ["greet"] }',
+      'dist/wasm/interop.mjs': `
+export async function compile(bytes) {
+  return {
+    async instantiate() {
+      return { invokeMain() { globalThis.dartbridge = { greet: () => 'wasm ' + bytes.length }; } };
+    },
+  };
+}
+`,
+      'load.ts': `
+import { loadDartBridge, supportsWasmGC } from './shared/dartloader.ts';
+const detected = supportsWasmGC();
+WebAssembly.validate = () => process.argv[2] === 'gc';
+const bridge = await loadDartBridge({ wasm: true, bundle: 'production' });
+console.log(typeof detected, bridge.greet());
+`,
+    },
+  }, ({ tsx }) => [tsx('load.ts', { args: 'gc' }), tsx('load.ts', { args: 'no-gc' })]);
+  assert(wasm === 'boolean wasm 4', `Wasm build not loaded with WasmGC: ${wasm}`);
+  assert(js === 'boolean js', `JS bundle not loaded without WasmGC: ${js}`);
+});
+
+test('createDartBridge({ worker: true }) hosts the bridge in a worker', () => {
+  const output = withScratchPackage({
+    copies: [...LOADER_FILES, 'shared/dartworker.mjs'],
+    files: {
+      'bundle.js': `
+class DartBridgeError extends Error {}
+DartBridgeError.prototype.name = 'DartBridgeError';
+class DartStateError extends DartBridgeError {}
+DartStateError.prototype.name = 'DartStateError';
+globalThis.sorting = {
+  DartBridgeError, DartStateError,
+  SortOrder: { ascending: 'ascending', descending: 'descending' },
+  math: { sortInt32: list => list.sort(), sortWith: (list, compare) => list.sort(compare) },
+  fail: () => { throw Object.assign(new DartStateError('Bad state'), { dartType: 'StateError', dartStack: '' }); },
+  wait: ({ signal }) => new Promise(resolve => signal.addEventListener('abort', resolve)),
+};
+`,
+      'bundle.exports.json': JSON.stringify({
+        namespace: 'sorting',
+        functions: ['math.sortInt32', 'math.sortWith'],
+        notInWorker: ['math.sortWith'],
+      }),
+      'worker.ts': `
+import { createDartBridge } from './shared/dartloader.ts';
+const { bridge, dispose } = await createDartBridge({ url: 'bundle.js', worker: true }) as any;
+const list = new Int32Array([3, 1, 2]);
+const sorted = await bridge.math.sortInt32(list);
+const failure = await bridge.fail().catch((error: any) => error);
+const controller = new AbortController();
+const waiting = bridge.wait({ signal: controller.signal });
+controller.abort();
+const aborted = await waiting.catch((error: any) => error.name);
+console.log([...sorted].join(','), list.byteLength, failure instanceof bridge.DartStateError,
+  failure instanceof bridge.DartBridgeError, failure.dartType, aborted, bridge.SortOrder.descending,
+  typeof bridge.math.sortWith);
+dispose();
+`,
+    },
+  }, ({ tsx }) => tsx('worker.ts'));
+  assert(output === '1,2,3 0 true true StateError AbortError descending undefined', `Worker bridge misbehaves: ${output}`);
+});
+
+test('React hooks suspend until the bridge and queries are ready', () => {
+  const [rendered, failed] = withScratchPackage({
+    copies: [...LOADER_FILES, 'dartonbrowser/src/dartbridge.tsx'],
+    links: ['dartonbrowser/node_modules'],
+    files: {
+      'tsconfig.json': '{ "compilerOptions": { "jsx": "react-jsx" } }',
+      'dartonbrowser/render.tsx': `
+import { Suspense } from 'react';
+import { prerenderToNodeStream } from 'react-dom/static';
+import { DartBridgeProvider, useDartBridge, useDartQuery } from './src/dartbridge.tsx';
+
+const bridge = new Promise(resolve => setTimeout(() => resolve({
+  greet: async (name: string) => 'Hello, ' + name,
+  math: { sum: (a: number, b: number) => a + b },
+}), 20));
+
+function Greeting() {
+  const dart = useDartBridge() as any;
+  const greeting = useDartQuery('greet', (dart: any) => dart.greet('Ada'));
+  return <p>{greeting} {dart.math.sum(1, 2)}</p>;
+}
+
+const { prelude } = await prerenderToNodeStream(
+  <DartBridgeProvider bridge={bridge as any}>
+    <Suspense fallback="loading"><Greeting /></Suspense>
+  </DartBridgeProvider>,
+);
+let html = '';
+for await (const chunk of prelude) html += chunk;
+console.log(html);
+`,
+      // A failed load rejects inside the render, where error boundaries
+      // catch it, rather than when the loader is imported
+      'dartonbrowser/failing.tsx': `
+import { Suspense } from 'react';
+import { prerenderToNodeStream } from 'react-dom/static';
+import { DartBridgeProvider, useDartBridge } from './src/dartbridge.tsx';
+
+function Greeting() {
+  useDartBridge();
+  return <p>loaded</p>;
+}
+
+const errors: string[] = [];
+const { prelude } = await prerenderToNodeStream(
+  <DartBridgeProvider options={{ url: 'missing.js', timeout: 100 }}>
+    <Suspense fallback="loading"><Greeting /></Suspense>
+  </DartBridgeProvider>,
+  { onError: error => { errors.push((error as Error).message); } },
+);
+for await (const chunk of prelude) void chunk;
+console.log(errors.length, errors.some(message => message.includes('missing.js')));
+`,
+    },
+  }, ({ tsx }) => ['dartonbrowser/render.tsx', 'dartonbrowser/failing.tsx']
+    .map(script => tsx(script, { env: { NODE_ENV: 'production' } })));
+  assert(rendered.includes('<p>Hello, Ada<!-- --> <!-- -->3</p>'), `Hooks did not render the results: ${rendered}`);
+  assert(failed === '1 true', `Failed bridge load not thrown from the render: ${failed}`);
+});
+
+test('useDartQuery aborts the calls a component still waits for when it unmounts', () => {
+  const output = withScratchPackage({
+    copies: [...LOADER_FILES, 'dartonbrowser/src/dartbridge.tsx'],
+    links: ['dartonbrowser/node_modules'],
+    files: {
+      'tsconfig.json': '{ "compilerOptions": { "jsx": "react-jsx" } }',
+      // The client renderer, on a stand-in container as nothing is rendered
+      // into it
+      'dartonbrowser/unmount.tsx': `
+import { Suspense } from 'react';
+import { createRoot } from 'react-dom/client';
+import { DartBridgeProvider, useDartQuery } from './src/dartbridge.tsx';
+
+Object.assign(globalThis, { window: globalThis, HTMLIFrameElement: class {} });
+const signals: Record<string, AbortSignal> = {};
+
+function Query({ name }: { name: string }) {
+  useDartQuery(name, (_dart, signal) => {
+    signals[name] = signal;
+    return name === 'first' ? name : new Promise(() => {});
+  });
+  return null;
+}
+
+const container: any = { nodeType: 1, addEventListener() {}, removeEventListener() {} };
+container.ownerDocument = container;
+const root = createRoot(container);
+// Past the 300ms React waits before replacing a fallback with the content
+const settle = () => new Promise(resolve => setTimeout(resolve, 500));
+const render = (name: string) => root.render(
+  <DartBridgeProvider bridge={{} as any}>
+    <Suspense fallback={null}><Query name={name} /></Suspense>
+  </DartBridgeProvider>,
+);
+
+render('first');
+await settle();
+render('second');
+await settle();
+render('third');
+await settle();
+const waiting = signals.third.aborted;
+root.unmount();
+await settle();
+console.log(signals.first.aborted, signals.second.aborted, waiting, signals.third.aborted);
+`,
+    },
+  }, ({ tsx }) => tsx('dartonbrowser/unmount.tsx', { env: { NODE_ENV: 'production' } }));
+  assert(output === 'false true false true', `Calls not aborted once no component waits for them: ${output}`);
+});
+
+test('Vite plugin serves, emits and bootstraps every Dart entry', () => {
+  const output = withScratchPackage({
+    copies: ['scripts/config.mjs', 'scripts/bundle-module.mjs'],
+    links: { 'app/node_modules': 'dartonbrowser/node_modules' },
+    files: {
+      'dart/src/app.dart': 'void main() {}',
+      'dist/interop.dev.js': 'globalThis.dartbridge = { dev: true };',
+      'dist/interop.js': 'globalThis.dartbridge = {};',
+      'dist/interop.exports.json': '{ "functions": ["greet"] }',
+      'dist/sorting.dev.js': 'globalThis.sorting = { dev: true };',
+      'dist/sorting.js': 'globalThis.sorting = {};',
+      'dist/sorting.exports.json': '{ "namespace": "sorting", "functions": ["sort"] }',
+      'dartinjs.config.json':
+        '{ "entries": { "interop": { "entry": "dart/interop.dart" }, "sorting": { "entry": "dart/sorting.dart" } } }',
+      'app/index.html':
+        '<!doctype html><html><head></head><body><script type="module" src="/main.js"></script></body></html>',
+      'app/main.js': 'console.log("app");',
+      'app/vite-plugin-dart.ts': readFileSync(join(rootDir, 'dartonbrowser', 'vite-plugin-dart.ts'), 'utf-8'),
+      'app/vite.ts': `
+import { build, createServer } from 'vite';
+import { readFileSync, readdirSync, rmSync, utimesSync, writeFileSync } from 'node:fs';
+import { dart } from './vite-plugin-dart.ts';
+
+const root = process.argv[2];
+const app = root + '/app';
+const bootstrap = (html: string) => /globalThis.__DART_BRIDGE__ = (.*?);<\\/script>/.exec(html)?.[1];
+
+const server = await createServer({ root: app, configFile: false, logLevel: 'silent', plugins: [dart({ root })] });
+await server.listen(0);
+const url = 'http://localhost:' + (server.httpServer!.address() as any).port;
+console.log(await (await fetch(url + '/dart/interop.dev.js')).text());
+console.log(await (await fetch(url + '/dart/sorting.dev.js')).text());
+console.log(bootstrap(await (await fetch(url + '/')).text()));
+// A changed Dart file, nested ones too, needs the missing Dart SDK
+utimesSync(root + '/dart/src/app.dart', new Date(), new Date());
+const failed = await fetch(url + '/dart/interop.js');
+console.log(failed.status, (await failed.text()).split('\\n')[0]);
+// So do a changed configuration file and bundles compiled with other flags
+const old = new Date(2020, 0, 1);
+utimesSync(root + '/dart/src/app.dart', old, old);
+utimesSync(root + '/dartinjs.config.json', new Date(), new Date());
+const configChanged = await fetch(url + '/dart/sorting.js');
+utimesSync(root + '/dartinjs.config.json', old, old);
+writeFileSync(root + '/dist/sorting.flags', 'other flags');
+const flagsChanged = await fetch(url + '/dart/sorting.js');
+console.log(configChanged.status, flagsChanged.status);
+rmSync(root + '/dist/sorting.flags');
+await server.close();
+
+await build({ root: app, configFile: false, logLevel: 'silent', plugins: [dart({ root })] });
+console.log(['interop-', 'sorting-'].map(name => readdirSync(app + '/dist/assets').filter(file => file.startsWith(name)).length).join(','));
+console.log(bootstrap(readFileSync(app + '/dist/index.html', 'utf-8')));
+`,
+    },
+  }, ({ dir, tsx }) => {
+    // Compiled bundles newer than the Dart sources and the configuration, so
+    // nothing is recompiled
+    for (const file of [join(dir, 'dart', 'src', 'app.dart'), join(dir, 'dartinjs.config.json')]) {
+      utimesSync(file, new Date(2020, 0, 1), new Date(2020, 0, 1));
+    }
+    return tsx('app/vite.ts', {
+      args: `"${dir}"`,
+      cwd: 'app',
+      timeout: 120000,
+      env: { PATH: dirname(process.execPath) },
+    });
+  });
+  const [served, servedEntry, devBootstrap, failed, stale, emitted, buildBootstrap] = output.split('\n');
+  assert(served === 'globalThis.dartbridge = { dev: true };', `Dev bundle not served: ${served}`);
+  assert(servedEntry === 'globalThis.sorting = { dev: true };', `Dev bundle of the sorting entry not served: ${servedEntry}`);
+  assert(devBootstrap === '{"bundles":{"development":"/dart/interop.dev.js","production":"/dart/interop.js"},' +
+    '"entries":{"sorting":{"bundles":{"development":"/dart/sorting.dev.js","production":"/dart/sorting.js"}}}}',
+    `Dev bootstrap not injected: ${devBootstrap}`);
+  assert(failed === '500 Dart compilation failed', `Compile failure not reported: ${failed}`);
+  assert(stale === '500 500', `Bundles not recompiled after the configuration changed: ${stale}`);
+  assert(emitted === '1,1', `Bundles not emitted as one asset per entry: ${emitted}`);
+  assert(new RegExp('^\\{"bundles":\\{"production":"/assets/interop-[0-9a-f]{8}\\.js"\\},"functions":\\["greet"\\],' +
+    '"entries":\\{"sorting":\\{"bundles":\\{"production":"/assets/sorting-[0-9a-f]{8}\\.js"\\},' +
+    '"functions":\\["sort"\\],"namespace":"sorting"\\}\\}\\}$').test(buildBootstrap),
+    `Build bootstrap not injected: ${buildBootstrap}`);
+});
+
+test('.dart imports are compiled and cached by the register hook', () => {
+  const dir = mkdtempSync(join(tmpdir(), 'dartinjs-'));
+  try {
+    // A stand-in for the Dart SDK that counts its compiles
+    mkdirSync(join(dir, 'bin'));
+    mkdirSync(join(dir, 'dart'));
+    writeFileSync(join(dir, 'package.json'), '{ "type": "module" }', 'utf-8');
+    copyFileSync(join(rootDir, 'dart', 'interop.dart'), join(dir, 'dart', 'interop.dart'));
+    writeFileSync(join(dir, 'bin', 'dart'), `#!/usr/bin/env node
+import { appendFileSync, writeFileSync } from 'node:fs';
+const output = process.argv.find(arg => arg.startsWith('--output=')).slice('--output='.length);
+writeFileSync(output, 'globalThis.dartbridge = { math: { quickSort: list => [...list].sort((a, b) => a - b) } };');
+appendFileSync(${JSON.stringify(join(dir, 'compiles.log'))}, process.argv.slice(2).join(' ') + '\\n');
+`, { mode: 0o755 });
+    writeFileSync(join(dir, 'main.mjs'), `
+import bridge, { math } from './dart/interop.dart';
+console.log(bridge.math === math, math.quickSort([3, 1, 2], 0, 2).join(','));
+`, 'utf-8');
+
+    const run = () => execSync(`"${process.execPath}" --import "${pathToFileURL(join(rootDir, 'js-runtime', 'register.mjs')).href}" main.mjs`, {
+      cwd: dir,
+      stdio: 'pipe',
+      encoding: 'utf-8',
+      timeout: 60000,
+      env: { ...process.env, DART_BUNDLE: 'development', PATH: `${join(dir, 'bin')}:${dirname(process.execPath)}` }
+    }).trim();
+    const compiles = () => readFileSync(join(dir, 'compiles.log'), 'utf-8').trim().split('\n');
+
+    assert(run() === 'true 1,2,3', 'Bridge not exported by the .dart module');
+    run();
+    assert(compiles().length === 1, 'Unchanged Dart sources compiled again');
+    assert(compiles()[0].startsWith('compile js') && compiles()[0].includes('--enable-asserts'), 'Development bundle not compiled');
+
+    writeFileSync(join(dir, 'dart', 'extra.dart'), 'int answer() => 42;', 'utf-8');
+    assert(run() === 'true 1,2,3', 'Bridge not exported after a recompile');
+    assert(compiles().length === 2, 'Changed Dart sources not compiled again');
+    // Another process compiling into its own directory, and one that
+    // finished after this one
+    const [fileCache] = readdirSync(join(dir, 'node_modules', '.cache', 'dartinjs'));
+    const fileCacheDir = join(dir, 'node_modules', '.cache', 'dartinjs', fileCache);
+    mkdirSync(join(fileCacheDir, 'compiling', '.99999'), { recursive: true });
+    mkdirSync(join(fileCacheDir, 'newer'));
+    utimesSync(join(fileCacheDir, 'newer'), new Date(Date.now() + 60000), new Date(Date.now() + 60000));
+    mkdirSync(join(dir, 'dart', 'src', 'util'), { recursive: true });
+    writeFileSync(join(dir, 'dart', 'src', 'util', 'deep.dart'), 'int deep() => 1;', 'utf-8');
+    run();
+    assert(compiles().length === 3, 'Changed nested Dart sources not compiled again');
+    const cached = readdirSync(fileCacheDir);
+    assert(cached.length === 3, 'Bundle of the old sources not removed');
+    assert(cached.includes('compiling') && cached.includes('newer'), 'Bundles of other processes removed');
+  } finally {
+    rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('Stack traces are remapped through the source map', () => {
+  const dir = mkdtempSync(join(tmpdir(), 'dartinjs-'));
+  try {
+    // Column 11 of line 1 maps to quick.dart:12:5, named quickSort
+    const script = join(dir, 'remap.ts');
+    writeFileSync(script, `
+import { parseSourceMap, remapStack } from ${JSON.stringify(join(rootDir, 'shared', 'sourcemap.ts'))};
+const map = parseSourceMap(JSON.stringify({
+  version: 3, sources: ['../dart/quick.dart'], names: ['quickSort'], mappings: 'UAWIA',
+}), 'file:///app/dist/interop.js.map');
+const maps = new Map([['file:///app/dist/interop.js', map]]);
+console.log(remapStack([
+  'Error: boom',
+  '    at Object.a5 (file:///app/dist/interop.js:1:11)',
+  'a5@file:///app/dist/interop.js:1:40',
+  '    at main (file:///app/main.js:3:1)',
+].join('\\n'), maps));
+`, 'utf-8');
+    const output = execSync(`"${join(rootDir, 'node_modules', '.bin', 'tsx')}" "${script}"`, {
+      cwd: rootDir,
+      stdio: 'pipe',
+      encoding: 'utf-8'
+    });
+    assert(output.includes('    at quickSort (file:///app/dart/quick.dart:12:5)'), 'V8 frame not remapped');
+    assert(output.includes('quickSort@file:///app/dart/quick.dart:12:5'), 'Gecko frame not remapped');
+    assert(output.includes('    at main (file:///app/main.js:3:1)'), 'Unmapped frame changed');
+  } finally {
+    rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('getDartBridge() remaps the script the page bootstrap names', () => {
+  // A development build of the Vite plugin, loading a hashed asset
+  const output = withScratchPackage({
+    files: {
+      'page.ts': `
+const fetched: string[] = [];
+Object.assign(globalThis, {
+  window: globalThis,
+  document: { baseURI: 'http://app.test/', scripts: [{ src: 'http://app.test/assets/interop-1a2b3c4d.js' }] },
+  __DART_BRIDGE__: { bundles: { development: '/assets/interop-1a2b3c4d.js' } },
+  dartbridge: { greet: () => 'hi' },
+  fetch: async (url: string) => {
+    fetched.push(url);
+    return new Response(JSON.stringify({ version: 3, sources: [], names: [], mappings: '' }));
+  },
+});
+const { getDartBridge } = await import('./shared/dartloader.ts');
+const greet = getDartBridge().greet;
+await new Promise(resolve => setTimeout(resolve, 50));
+console.log(fetched.join(','), getDartBridge().greet !== greet);
+`,
+    },
+  }, ({ tsx }) => tsx('page.ts'));
+  assert(output === 'http://app.test/assets/interop-1a2b3c4d.js.map true', `Bootstrapped bundle not remapped: ${output}`);
+});
+
 test('dart-loader.mjs exists', () => {
   const loaderPath = join(rootDir, 'js-runtime', 'dart-loader.mjs');
   assert(existsSync(loaderPath), 'dart-loader.mjs not found');
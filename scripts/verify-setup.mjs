@@ -119,6 +119,7 @@ if (checkFile(join(rootDir, '.dart_tool'), 'Dart dependencies installed')) {
 console.log('');
 log('Checking build scripts...', colors.yellow);
 checkFile(join(rootDir, 'scripts', 'build-dart.mjs'), 'build-dart.mjs');
+checkFile(join(rootDir, 'scripts', 'generate-interop.mjs'), 'generate-interop.mjs');
 checkFile(join(rootDir, 'scripts', 'generate-types.mjs'), 'generate-types.mjs');
 checkFile(join(rootDir, 'scripts', 'watch-dart.mjs'), 'watch-dart.mjs');
 
@@ -142,7 +143,6 @@ if (checkFile(join(rootDir, 'dartonbrowser'), 'Browser app directory')) {
   } else {
     console.log('    Run: cd dartonbrowser && npm install');
   }
-  checkFile(join(rootDir, 'dartonbrowser', 'public', 'dart'), 'Dart files in browser app');
 }
 
 // Summary
@@ -4,17 +4,28 @@
  * Cross-platform watch script for Dart development
  * Automatically recompiles when Dart files change
  * Works on Windows, macOS, and Linux
+ *
+ * Watches the directories of the entries in dartinjs.config.(mjs|json), and
+ * the configuration file itself.
  */
 
 import { watch } from 'fs';
 import { execSync } from 'child_process';
-import { join, dirname } from 'path';
+import { join, dirname, relative } from 'path';
 import { fileURLToPath } from 'url';
+import { CONFIG_FILES, loadConfigOrExit } from './config.mjs';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 const rootDir = join(__dirname, '..');
-const dartDir = join(rootDir, 'dart');
+const config = await loadConfigOrExit();
+const dartDirs = [...new Set(config.entries.map(entry => entry.dartDir))];
+// Entry files are regenerated by the build, so they are not watched
+const entryFiles = new Set(config.entries.map(entry => entry.entry));
+
+function display(path) {
+  return relative(rootDir, path).replace(/\\/g, '/');
+}
 
 const colors = {
   reset: '\x1b[0m',
@@ -43,26 +54,36 @@ function runBuild() {
 }
 
 log('Starting Dart watch mode...', colors.green);
-log('Watching for changes in dart/*.dart files\n', colors.yellow);
+log(`Watching for changes in ${dartDirs.map(dir => `${display(dir)}/*.dart`).join(', ')} files\n`, colors.yellow);
 
 // Initial build
 runBuild();
 
-// Watch all .dart files in the dart directory
-const dartFiles = ['interop.dart', 'quick.dart', 'httpin.dart'];
+// Editors often write a file in several steps, rebuild once they're done
+let timer;
+function scheduleBuild(file) {
+  log(`\nFile changed: ${file}`, colors.yellow);
+  clearTimeout(timer);
+  timer = setTimeout(runBuild, 100);
+}
 
-dartFiles.forEach(file => {
-  const filePath = join(dartDir, file);
-  try {
-    watch(filePath, (eventType) => {
-      if (eventType === 'change') {
-        log(`\nFile changed: dart/${file}`, colors.yellow);
-        runBuild();
-      }
-    });
-    log(`Watching: dart/${file}`, colors.green);
-  } catch (error) {
-    // File might not exist, skip
+// Watch the .dart files and pubspec.yaml in each Dart directory, including
+// new ones
+for (const dartDir of dartDirs) {
+  watch(dartDir, (eventType, file) => {
+    if (!file || entryFiles.has(join(dartDir, file))) return;
+    if (file.endsWith('.dart') || file === 'pubspec.yaml') {
+      scheduleBuild(display(join(dartDir, file)));
+    }
+  });
+  log(`Watching: ${display(dartDir)}/`, colors.green);
+}
+
+// A changed configuration applies to the next build, though a new entry
+// directory needs a restart
+watch(rootDir, (eventType, file) => {
+  if (CONFIG_FILES.includes(file)) {
+    scheduleBuild(file);
   }
 });
 
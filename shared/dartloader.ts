@@ -7,51 +7,1101 @@
  * Works in both Node.js and browser environments.
  */
 
-import type { DartBridge } from '../dist/interop.js';
+import type { AsyncDartBridge, DartBridge } from '../dist/interop.js';
+import type { AsyncDartBridges, DartBridges } from '../dist/bridges.js';
+import { parseSourceMap, remapStack, type SourceMap } from './sourcemap.js';
+
+/**
+ * Which compiled bundle to load: `interop.dev.js` (asserts, readable names)
+ * or the minified `interop.js`
+ */
+export type DartBundle = 'development' | 'production';
+
+export interface DartBridgeOptions {
+  /**
+   * Bundle to load, overriding the default from the environment
+   */
+  bundle?: DartBundle;
+}
+
+/**
+ * Name of an entry point in dartinjs.config, see LoadDartBridgeOptions.entry
+ */
+export type DartEntry = keyof DartBridges & string;
+
+// The entry point of the top-level entry option and of DartBridge
+const DEFAULT_ENTRY = 'interop';
+
+const BUNDLE_FILES: Record<DartBundle, string> = {
+  development: 'interop.dev.js',
+  production: 'interop.js',
+};
+
+// Other entries are built next to the default one, named after the entry
+function bundleFile(bundle: DartBundle, entry: string = DEFAULT_ENTRY): string {
+  return BUNDLE_FILES[bundle].replace(`${DEFAULT_ENTRY}.`, `${entry}.`);
+}
+
+// Built by `npm run build:wasm`, with its JS glue <entry>.mjs
+function wasmFile(entry: string): string {
+  return `wasm/${entry}.wasm`;
+}
+
+// Where the Vite plugin serves the output directory
+const SERVED_DIR = '/dart/';
+
+/**
+ * The repository's scripts/config.mjs, read in Node.js/Bun/Deno for the
+ * output directory the build wrote the bundles to
+ */
+interface DartConfig {
+  outDir: string;
+}
+
+let outDir: Promise<string> | undefined;
+
+/**
+ * URL of the configured output directory, ending in a slash; dist/ next to
+ * shared/ without the repository's scripts, e.g. with the loader copied
+ * into an app
+ */
+function outDirUrl(): Promise<string> {
+  outDir ??= (async () => {
+    // Not literals, which bundlers would turn into assets
+    const configModule = '../scripts/config.mjs';
+    const defaultDir = '../dist/';
+    const urlModule = 'node:url';
+    try {
+      const configUrl = new URL(configModule, import.meta.url).href;
+      const { loadConfig } = await import(/* @vite-ignore */ configUrl) as { loadConfig(): Promise<DartConfig> };
+      const { pathToFileURL } = await import(/* @vite-ignore */ urlModule);
+      return `${pathToFileURL((await loadConfig()).outDir).href}/`;
+    } catch (error) {
+      if ((error as { code?: string }).code !== 'ERR_MODULE_NOT_FOUND') throw error;
+      return new URL(defaultDir, import.meta.url).href;
+    }
+  })();
+  return outDir;
+}
+
+// A module whose type section declares a struct type, valid only in
+// engines with the WasmGC proposal that dart2wasm output needs
+const WASM_GC_PROBE = new Uint8Array([0, 97, 115, 109, 1, 0, 0, 0, 1, 5, 1, 95, 1, 120, 0]);
+
+/**
+ * Whether this engine can run the dart2wasm build
+ */
+export function supportsWasmGC(): boolean {
+  try {
+    return typeof WebAssembly === 'object' && WebAssembly.validate(WASM_GC_PROBE);
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Bundle for the current environment
+ *
+ * `VITE_DART_BUNDLE` (browser) or `DART_BUNDLE` (Node.js/Bun/Deno) pick one
+ * explicitly; otherwise Vite's mode or `NODE_ENV` decides, with anything but
+ * production meaning development.
+ */
+export function defaultDartBundle(): DartBundle {
+  const viteEnv = (import.meta as any).env;
+  const nodeEnv = (globalThis as any).process?.env;
+
+  const override = viteEnv?.VITE_DART_BUNDLE ?? nodeEnv?.DART_BUNDLE;
+  if (override !== undefined && override !== '') {
+    if (override !== 'development' && override !== 'production') {
+      throw new Error(`Invalid Dart bundle '${override}', expected 'development' or 'production'`);
+    }
+    return override;
+  }
+
+  if (viteEnv && typeof viteEnv.DEV === 'boolean') {
+    return viteEnv.DEV ? 'development' : 'production';
+  }
+  return nodeEnv?.NODE_ENV === 'production' ? 'production' : 'development';
+}
+
+// Namespace of the default entry's bridge once loadDartBridge() has read
+// its manifest
+let defaultNamespace: string | undefined;
+
+/**
+ * Global the default entry's bridge is registered on
+ */
+function bridgeNamespace(): string {
+  return defaultNamespace ?? pageBootstrap()?.namespace ?? 'dartbridge';
+}
+
+/**
+ * URL of the <script> tag that loaded the default entry's development
+ * bundle, if any: the one the page bootstrap names, e.g. a hashed asset, or
+ * else one ending in <entry>.dev.js
+ */
+function developmentScriptUrl(): string | undefined {
+  const scripts = Array.from(document.scripts, script => script.src).filter(Boolean);
+  const bootstrapped = pageBootstrap()?.bundles.development;
+  if (bootstrapped !== undefined) {
+    const url = new URL(bootstrapped, document.baseURI).href;
+    return scripts.find(src => src === url);
+  }
+  const file = `/${bundleFile('development', DEFAULT_ENTRY)}`;
+  return scripts.find(src => new URL(src).pathname.endsWith(file));
+}
 
 /**
  * Get a typed reference to the dartbridge
  * In Node.js/Bun/Deno, this comes from the loader module
- * In browsers, this comes from window.dartbridge
+ * In browsers, this comes from the global main() registered it on
  */
 export function getDartBridge(): DartBridge {
-  if (typeof window !== 'undefined' && 'dartbridge' in window) {
+  const namespace = bridgeNamespace();
+  if (typeof window !== 'undefined' && namespace in window) {
     // Browser environment
-    return (window as any).dartbridge as DartBridge;
-  } else if (typeof globalThis !== 'undefined' && 'dartbridge' in globalThis) {
+    const bridge = (window as any)[namespace] as DartBridge;
+    const bundleUrl = developmentScriptUrl();
+    if (bundleUrl) {
+      remapDartStacks(bridge, bundleUrl).catch(warnNoSourceMap);
+    }
+    return bridge;
+  } else if (typeof globalThis !== 'undefined' && namespace in globalThis) {
     // Node.js/Bun/Deno environment
-    return (globalThis as any).dartbridge as DartBridge;
+    return (globalThis as any)[namespace] as DartBridge;
   } else {
-    throw new Error('Dart bridge is not initialized. Make sure the Dart code is loaded first.');
+    throw new Error('Dart bridge is not initialized. Load it first with loadDartBridge() or initDartBridge().');
   }
 }
 
 /**
- * For Node.js/Bun/Deno: Initialize and load the dartbridge
+ * Initialize and load the dartbridge
  * This must be called before using getDartBridge()
+ *
+ * Loads the development bundle unless the environment or options.bundle
+ * says production; stack traces are remapped in development. Browsers get
+ * the bridge from a <script> tag already on the page, or else through
+ * loadDartBridge(), as Node.js/Bun/Deno always do.
  */
-export async function initDartBridge(): Promise<DartBridge> {
-  // Initialize the dartbridge namespace in globalThis if not already done
-  if (typeof globalThis !== 'undefined' && !('dartbridge' in globalThis)) {
-    (globalThis as any).dartbridge = {};
+export async function initDartBridge(options: DartBridgeOptions = {}): Promise<DartBridge> {
+  if (typeof window !== 'undefined' && typeof document !== 'undefined' && bridgeNamespace() in window) {
+    return getDartBridge();
   }
+  return loadDartBridge(options);
+}
+
+export interface LoadDartBridgeOptions extends DartBridgeOptions {
+  /**
+   * Entry point of dartinjs.config to load, each has its own bundle and
+   * namespace (default 'interop')
+   */
+  entry?: DartEntry;
 
-  // Load the Dart compiled JavaScript
-  await import('../dist/interop.js');
+  /**
+   * URL of the compiled bundle, overriding options.bundle and options.entry;
+   * defaults to /dart/<entry>(.dev).js in browsers and
+   * <outDir>/<entry>(.dev).js of dartinjs.config (dist/ by default) in
+   * Node.js/Bun/Deno
+   */
+  url?: string | URL;
 
-  return getDartBridge();
+  /**
+   * Milliseconds to wait for the bundle to load and register its functions
+   * (default 10000)
+   */
+  timeout?: number;
+
+  /**
+   * Load the dart2wasm build instead where WasmGC is supported, falling back
+   * to the JS bundle elsewhere; true for <outDir>/wasm/<entry>.wasm (served
+   * at /dart/wasm/<entry>.wasm in browsers) or the URL of the .wasm file,
+   * with the <entry>.mjs glue dart compile wasm wrote next to it
+   */
+  wasm?: boolean | string | URL;
 }
 
+const bridgeLoads = new Map<string, Promise<unknown>>();
+
 /**
- * Default export for convenience in Node.js environments
+ * How the page bootstrap describes one entry point
  */
-let _cachedBridge: DartBridge | null = null;
+interface DartEntryBootstrap {
+  /**
+   * URLs the bundles are served at, e.g. hashed assets in builds
+   */
+  bundles: Partial<Record<DartBundle, string>>;
 
-const getDefaultBridge = async (): Promise<DartBridge> => {
-  if (_cachedBridge) return _cachedBridge;
-  _cachedBridge = await initDartBridge();
-  return _cachedBridge;
-};
+  /**
+   * Functions main() registers, instead of fetching <entry>.exports.json
+   */
+  functions?: string[];
+
+  /**
+   * Global the bridge is registered on, from <entry>.exports.json
+   */
+  namespace?: string;
+
+  /**
+   * Functions worker bridges leave out, from <entry>.exports.json
+   */
+  notInWorker?: string[];
+}
+
+/**
+ * Written into index.html by the Vite plugin (dartonbrowser/vite-plugin-dart.ts)
+ * before any module runs: the default entry, and the others by name
+ */
+interface DartBridgeBootstrap extends DartEntryBootstrap {
+  entries?: Record<string, DartEntryBootstrap>;
+}
+
+function pageBootstrap(): DartBridgeBootstrap | undefined {
+  return (globalThis as any).__DART_BRIDGE__;
+}
+
+function entryBootstrap(entry: string): DartEntryBootstrap | undefined {
+  const bootstrap = pageBootstrap();
+  return entry === DEFAULT_ENTRY ? bootstrap : bootstrap?.entries?.[entry];
+}
+
+/**
+ * Resolve the URL of the .wasm file to load, see LoadDartBridgeOptions.wasm
+ */
+async function resolveWasmUrl(wasm: true | string | URL, entry: string): Promise<string> {
+  const browser = typeof window !== 'undefined' && typeof document !== 'undefined';
+  if (wasm !== true) {
+    return browser ? new URL(wasm, document.baseURI).href : fileUrl(wasm);
+  }
+  return browser
+    ? new URL(SERVED_DIR + wasmFile(entry), document.baseURI).href
+    : new URL(wasmFile(entry), await outDirUrl()).href;
+}
+
+/**
+ * Resolve the URL of the bundle to load, see LoadDartBridgeOptions.url
+ */
+async function resolveBundleUrl(
+  url: string | URL | undefined,
+  bundle: DartBundle,
+  entry: string = DEFAULT_ENTRY,
+): Promise<string> {
+  const browser = typeof window !== 'undefined' && typeof document !== 'undefined';
+  if (url !== undefined) {
+    return browser ? new URL(url, document.baseURI).href : fileUrl(url);
+  } else if (browser) {
+    const bootstrapped = entryBootstrap(entry)?.bundles[bundle];
+    const served = bootstrapped ?? SERVED_DIR + bundleFile(bundle, entry);
+    return new URL(served, document.baseURI).href;
+  }
+  return new URL(bundleFile(bundle, entry), await outDirUrl()).href;
+}
+
+/**
+ * Dotted paths of the expected functions that are not on the bridge yet
+ */
+function missingFunctions(bridge: unknown, expected: string[]): string[] {
+  return expected.filter(path => {
+    const value = path.split('.').reduce<any>((target, name) => target?.[name], bridge);
+    return typeof value !== 'function';
+  });
+}
+
+/**
+ * Run the JS bundle at bundleUrl, with a <script> tag in browsers
+ */
+function runScript(bundleUrl: string): Promise<void> {
+  if (typeof document === 'undefined') {
+    return import(/* @vite-ignore */ bundleUrl).then(() => {});
+  }
+  // A script tag already on the page, e.g. from an earlier attempt, is
+  // waited for instead of loading the bundle twice
+  if (Array.from(document.scripts).some(script => script.src === bundleUrl)) {
+    return Promise.resolve();
+  }
+  return new Promise((resolve, reject) => {
+    const script = document.createElement('script');
+    script.src = bundleUrl;
+    script.onload = () => resolve();
+    script.onerror = () => {
+      reject(new Error(`Failed to load the Dart bundle ${bundleUrl}`));
+      script.remove();
+    };
+    document.head.appendChild(script);
+  });
+}
+
+/**
+ * The parts of the interop.mjs glue dart compile wasm writes that are used
+ */
+interface DartWasmGlue {
+  compile(bytes: BufferSource): Promise<DartWasmApp>;
+  compileStreaming(source: Promise<Response>): Promise<DartWasmApp>;
+}
+
+interface DartWasmApp {
+  instantiate(additionalImports?: object): Promise<{ invokeMain(...args: string[]): void }>;
+}
+
+/**
+ * Compile and instantiate the dart2wasm build at wasmUrl, then run its
+ * main(), which registers the bridge like the JS bundle does
+ */
+async function runWasm(wasmUrl: string): Promise<void> {
+  const glue = await import(/* @vite-ignore */ wasmUrl.replace(/\.wasm$/, '.mjs')) as DartWasmGlue;
+  let app: DartWasmApp;
+  if (wasmUrl.startsWith('file:')) {
+    const fsModule = 'node:fs/promises';
+    const { readFile } = await import(/* @vite-ignore */ fsModule);
+    app = await glue.compile(await readFile(new URL(wasmUrl)));
+  } else {
+    app = await glue.compileStreaming(fetch(wasmUrl).then(response => {
+      if (!response.ok) {
+        throw new Error(`Failed to load the Dart bundle ${wasmUrl}: ${response.status} ${response.statusText}`);
+      }
+      return response;
+    }));
+  }
+  const instance = await app.instantiate({});
+  instance.invokeMain();
+}
+
+/**
+ * What <entry>.exports.json next to the bundle at bundleUrl lists: the
+ * namespace main() registers the bridge on, its functions and those taking
+ * callbacks or returning streams, which worker bridges leave out
+ */
+async function readManifest(
+  bundleUrl: string,
+  entry: string,
+): Promise<{ namespace: string, functions: string[], notInWorker: string[] }> {
+  // Listed by the page bootstrap, or generated next to the bundle by
+  // scripts/generate-types.mjs: interop(.dev).js and wasm/interop.wasm
+  // share interop.exports.json
+  const bootstrap = entryBootstrap(entry);
+  const bootstrapped = typeof document !== 'undefined' && bootstrap?.functions &&
+    Object.values(bootstrap.bundles).some(url => new URL(url, document.baseURI).href === bundleUrl);
+  const manifestUrl = bundleUrl.replace(/(\.dev)?\.js$|\.wasm$/, '') + '.exports.json';
+  const manifest: { namespace?: string, functions: string[], notInWorker?: string[] } = bootstrapped
+    ? { namespace: bootstrap.namespace, functions: bootstrap.functions!, notInWorker: bootstrap.notInWorker }
+    : await readText(manifestUrl)
+      .then(json => JSON.parse(json))
+      .catch((error: unknown) => {
+        console.warn(`Not checking the Dart bridge for missing functions, ${manifestUrl} failed to load:`, error);
+        return { functions: [] };
+      });
+  // Without a manifest, the namespace the configuration defaults to
+  return {
+    namespace: manifest.namespace ?? (entry === DEFAULT_ENTRY ? 'dartbridge' : entry),
+    functions: manifest.functions,
+    notInWorker: manifest.notInWorker ?? [],
+  };
+}
+
+/**
+ * Load the bundle at bundleUrl and wait for its main() to register the
+ * functions in <entry>.exports.json on the namespace named there
+ */
+async function loadBundle(
+  bundleUrl: string,
+  timeout: number,
+  entry: string,
+  run: (bundleUrl: string) => Promise<void> = runScript,
+): Promise<unknown> {
+  const deadline = Date.now() + timeout;
+  // Until the bundle has run, the namespace may still hold an older bridge
+  let loaded = false;
+  let failure: { error: unknown } | null = null;
+  run(bundleUrl).then(
+    () => { loaded = true; },
+    (error: unknown) => { failure = { error }; },
+  );
+
+  const manifest = await readManifest(bundleUrl, entry);
+  const namespace = manifest.namespace;
+  if (entry === DEFAULT_ENTRY) {
+    defaultNamespace = namespace;
+  }
+
+  for (;;) {
+    if (failure) {
+      throw (failure as { error: unknown }).error;
+    }
+    const bridge = (globalThis as any)[namespace] as unknown;
+    const missing = bridge ? missingFunctions(bridge, manifest.functions) : [namespace];
+    if (loaded && missing.length === 0) {
+      return bridge;
+    }
+    if (Date.now() >= deadline) {
+      throw new Error(loaded
+        ? `The Dart bridge from ${bundleUrl} was not ready after ${timeout} ms, ` +
+          `missing: ${missing.map(path => path === namespace ? path : `${namespace}.${path}`).join(', ')}`
+        : `The Dart bundle ${bundleUrl} did not load within ${timeout} ms`);
+    }
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+}
+
+/**
+ * Load the Dart bundle on demand and resolve with the bridge once its main()
+ * has registered every function of the generated interface
+ *
+ * options.entry picks another entry point of dartinjs.config, resolving
+ * with its bridge as typed in dist/bridges.d.ts:
+ *
+ * ```ts
+ * const sorting = await loadDartBridge({ entry: 'sorting' });
+ * ```
+ *
+ * In browsers the bundle is added as a <script> tag, so pages need no
+ * hard-coded one; in Node.js/Bun/Deno it is imported. Concurrent calls for
+ * the same bundle share one load, and a failed or timed out load can be
+ * retried. Rejects if the bundle fails to load, or with an error naming the
+ * missing functions after options.timeout.
+ *
+ * With options.wasm the dart2wasm build is loaded when supportsWasmGC(),
+ * behind the same DartBridge interface, and the JS bundle otherwise.
+ */
+export function loadDartBridge(options?: LoadDartBridgeOptions & { entry?: typeof DEFAULT_ENTRY }): Promise<DartBridge>;
+export function loadDartBridge<E extends DartEntry>(options: LoadDartBridgeOptions & { entry: E }): Promise<DartBridges[E]>;
+export async function loadDartBridge(options: LoadDartBridgeOptions = {}): Promise<unknown> {
+  const entry = options.entry ?? DEFAULT_ENTRY;
+  if (options.wasm && supportsWasmGC()) {
+    const wasmUrl = await resolveWasmUrl(options.wasm, entry);
+    let load = bridgeLoads.get(wasmUrl);
+    if (!load) {
+      load = loadBundle(wasmUrl, options.timeout ?? 10_000, entry, runWasm);
+      bridgeLoads.set(wasmUrl, load);
+      load.catch(() => bridgeLoads.delete(wasmUrl));
+    }
+    return load;
+  }
+
+  const bundle = options.bundle ?? defaultDartBundle();
+  const bundleUrl = await resolveBundleUrl(options.url, bundle, entry);
+
+  let load = bridgeLoads.get(bundleUrl);
+  if (!load) {
+    load = loadBundle(bundleUrl, options.timeout ?? 10_000, entry);
+    bridgeLoads.set(bundleUrl, load);
+    load.catch(() => bridgeLoads.delete(bundleUrl));
+  }
+
+  const bridge = await load;
+  if (bundle === 'development' && options.url === undefined) {
+    await remapDartStacks(bridge as DartBridge, bundleUrl).catch(warnNoSourceMap);
+  }
+  return bridge;
+}
+
+function warnNoSourceMap(error: unknown) {
+  console.warn('Dart stack traces are not remapped, the source map failed to load:', error);
+}
+
+/**
+ * Source maps of the Dart bundles loaded so far, by bundle URL
+ */
+const sourceMaps = new Map<string, SourceMap>();
+const sourceMapLoads = new Map<string, Promise<void>>();
+const wrappedFunctions = new WeakSet<Function>();
+
+/**
+ * Read a text file from a file: URL (Node.js/Bun/Deno) or over HTTP
+ */
+async function readText(url: string): Promise<string> {
+  if (url.startsWith('file:')) {
+    // Kept out of browser bundles, where this branch never runs
+    const fsModule = 'node:fs/promises';
+    const { readFile } = await import(/* @vite-ignore */ fsModule);
+    return readFile(new URL(url), 'utf-8');
+  }
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new Error(`${url}: ${response.status} ${response.statusText}`);
+  }
+  return response.text();
+}
+
+/**
+ * Rewrite the JS stack and the Dart stack of an error thrown by the bridge
+ * to point at the dart/*.dart sources
+ */
+function remapError(error: unknown): unknown {
+  // Not instanceof Error, isolated bridges throw errors of their own realm
+  const dartError = error as { stack?: unknown, dartStack?: unknown } | null;
+  if (typeof dartError?.stack === 'string') {
+    dartError.stack = remapStack(dartError.stack, sourceMaps);
+    if (typeof dartError.dartStack === 'string') {
+      dartError.dartStack = remapStack(dartError.dartStack, sourceMaps);
+    }
+  }
+  return error;
+}
+
+/**
+ * Whether a bridge value is one of the error classes, in any realm
+ */
+function isErrorClass(value: Function): boolean {
+  let proto = value.prototype ? Object.getPrototypeOf(value.prototype) : null;
+  for (; proto; proto = Object.getPrototypeOf(proto)) {
+    if (proto.constructor?.name === 'Error') {
+      return true;
+    }
+  }
+  return false;
+}
+
+/**
+ * Replace every bridge function below target with one that remaps the
+ * errors it throws or its promise rejects with
+ */
+function wrapBridgeFunctions(target: Record<string, unknown>) {
+  for (const [key, value] of Object.entries(target)) {
+    if (typeof value === 'function') {
+      // Error classes must stay intact for instanceof checks
+      if (wrappedFunctions.has(value) || isErrorClass(value)) {
+        continue;
+      }
+      const wrapped = function (this: unknown, ...args: unknown[]) {
+        try {
+          const result = value.apply(this, args);
+          return typeof result?.then === 'function'
+            ? (result as Promise<unknown>).catch((error: unknown) => { throw remapError(error); })
+            : result;
+        } catch (error) {
+          throw remapError(error);
+        }
+      };
+      wrappedFunctions.add(wrapped);
+      target[key] = wrapped;
+    } else if (value !== null && typeof value === 'object') {
+      wrapBridgeFunctions(value as Record<string, unknown>);
+    }
+  }
+}
+
+/**
+ * Remap the stack traces of errors coming out of the bridge through the
+ * source map next to the compiled bundle at bundleUrl (`<bundle>.js.map`)
+ *
+ * initDartBridge() and getDartBridge() do this in development mode; call it
+ * yourself when loading the bundle another way. Errors thrown before the
+ * source map has loaded keep their compiled frames.
+ */
+export async function remapDartStacks(bridge: DartBridge, bundleUrl: string): Promise<void> {
+  await loadSourceMap(bundleUrl);
+  wrapBridgeFunctions(bridge as unknown as Record<string, unknown>);
+}
+
+/**
+ * Load the source map of the bundle at bundleUrl into sourceMaps, once
+ */
+function loadSourceMap(bundleUrl: string): Promise<void> {
+  let pending = sourceMapLoads.get(bundleUrl);
+  if (!pending) {
+    const mapUrl = `${bundleUrl}.map`;
+    pending = readText(mapUrl).then(json => {
+      sourceMaps.set(bundleUrl, parseSourceMap(json, mapUrl));
+    });
+    sourceMapLoads.set(bundleUrl, pending);
+  }
+  return pending;
+}
 
-// For top-level await environments
-export default await getDefaultBridge();
+/**
+ * A bridge loaded into its own realm by createDartBridge()
+ */
+export interface DartBridgeInstance<B = DartBridge> {
+  /**
+   * The bridge, independent of the global one and other instances
+   */
+  bridge: B;
+
+  /**
+   * Tear the realm down: stop its timers and pending requests (Node.js) or
+   * remove its iframe (browser). The bridge must not be used afterwards.
+   */
+  dispose(): void;
+}
+
+/**
+ * A bridge hosted in a worker by createDartBridge({ worker: true })
+ */
+export interface AsyncDartBridgeInstance<B = AsyncDartBridge> {
+  /**
+   * Proxy with the functions of the bridge, each returning a promise
+   */
+  bridge: B;
+
+  /**
+   * Terminate the worker, rejecting the calls still running
+   */
+  dispose(): void;
+}
+
+export interface CreateDartBridgeOptions extends DartBridgeOptions {
+  /**
+   * Entry point of dartinjs.config to load, as in loadDartBridge()
+   * (default 'interop')
+   */
+  entry?: DartEntry;
+
+  /**
+   * URL of the compiled bundle, overriding options.bundle and options.entry;
+   * defaults to <outDir>/<entry>(.dev).js in Node.js/Bun/Deno and
+   * /dart/<entry>(.dev).js in browsers
+   */
+  url?: string | URL;
+
+  /**
+   * Host the bundle in a Web Worker (worker_threads in Node.js) instead of
+   * a realm on this thread
+   */
+  worker?: boolean;
+
+  /**
+   * Worker only: move the buffers of typed arrays passed to the bridge
+   * instead of copying them, which detaches them on this side (default true)
+   */
+  transfer?: boolean;
+}
+
+// Host APIs the compiled Dart code may use, shared into Node.js contexts
+const CONTEXT_GLOBALS = [
+  'console', 'queueMicrotask', 'structuredClone', 'performance', 'crypto',
+  'URL', 'URLSearchParams', 'TextEncoder', 'TextDecoder', 'Headers', 'Request',
+  'Response', 'FormData', 'Blob', 'AbortController', 'AbortSignal',
+  'DOMException', 'Event', 'EventTarget', 'XMLHttpRequest',
+];
+
+/**
+ * Resolve a URL or a path relative to the working directory to a URL
+ */
+async function fileUrl(location: string | URL): Promise<string> {
+  if (location instanceof URL || /^[a-z][a-z\d+.-]+:/i.test(location)) {
+    return new URL(location).href;
+  }
+  const urlModule = 'node:url';
+  const { pathToFileURL } = await import(/* @vite-ignore */ urlModule);
+  return pathToFileURL(location).href;
+}
+
+/**
+ * Load a bridge into a new node:vm context
+ */
+async function createInContext(bundleUrl: string, namespace: string): Promise<DartBridgeInstance> {
+  const vmModule = 'node:vm';
+  const vm = await import(/* @vite-ignore */ vmModule);
+  const code = await readText(bundleUrl);
+
+  const host = globalThis as any;
+  const sandbox: Record<string, unknown> = {};
+  for (const name of CONTEXT_GLOBALS) {
+    if (name in host) sandbox[name] = host[name];
+  }
+
+  // Timers and requests are tracked so dispose() can stop them
+  const timeouts = new Set<unknown>();
+  const intervals = new Set<unknown>();
+  const requests = new Set<AbortController>();
+  sandbox.setTimeout = (callback: (...args: unknown[]) => void, delay?: number, ...args: unknown[]) => {
+    const handle = setTimeout(() => {
+      timeouts.delete(handle);
+      callback(...args);
+    }, delay);
+    timeouts.add(handle);
+    return handle;
+  };
+  sandbox.clearTimeout = (handle: any) => {
+    timeouts.delete(handle);
+    clearTimeout(handle);
+  };
+  sandbox.setInterval = (callback: (...args: unknown[]) => void, delay?: number, ...args: unknown[]) => {
+    const handle = setInterval(callback, delay, ...args);
+    intervals.add(handle);
+    return handle;
+  };
+  sandbox.clearInterval = (handle: any) => {
+    intervals.delete(handle);
+    clearInterval(handle);
+  };
+  if (typeof host.fetch === 'function') {
+    sandbox.fetch = (input: unknown, init: RequestInit = {}) => {
+      const controller = new AbortController();
+      const signal = init.signal;
+      const abort = () => controller.abort(signal?.reason);
+      if (signal?.aborted) {
+        abort();
+      } else {
+        signal?.addEventListener('abort', abort);
+      }
+      requests.add(controller);
+      // Long-lived signals keep no listener once the request has finished
+      return host.fetch(input, { ...init, signal: controller.signal })
+        .finally(() => {
+          requests.delete(controller);
+          signal?.removeEventListener('abort', abort);
+        });
+    };
+  }
+
+  const context = vm.createContext(sandbox);
+  new vm.Script(code, { filename: bundleUrl }).runInContext(context);
+  const bridge = context[namespace] as DartBridge | undefined;
+  if (!bridge) {
+    throw new Error(`${bundleUrl} did not create the ${namespace} bridge`);
+  }
+
+  return {
+    bridge,
+    dispose() {
+      timeouts.forEach(handle => clearTimeout(handle as any));
+      intervals.forEach(handle => clearInterval(handle as any));
+      timeouts.clear();
+      intervals.clear();
+      requests.forEach(controller => controller.abort());
+      requests.clear();
+      delete context[namespace];
+    },
+  };
+}
+
+/**
+ * Load a bridge into a new hidden iframe
+ */
+async function createInIframe(bundleUrl: string, namespace: string): Promise<DartBridgeInstance> {
+  const iframe = document.createElement('iframe');
+  iframe.style.display = 'none';
+  document.body.appendChild(iframe);
+
+  try {
+    const frameWindow = iframe.contentWindow as (Window & Record<string, DartBridge | undefined>) | null;
+    if (!frameWindow) {
+      throw new Error('The iframe for the Dart bridge has no window');
+    }
+    const script = frameWindow.document.createElement('script');
+    script.src = bundleUrl;
+    await new Promise<void>((resolve, reject) => {
+      script.onload = () => resolve();
+      script.onerror = () => reject(new Error(`Failed to load ${bundleUrl}`));
+      frameWindow.document.head.appendChild(script);
+    });
+
+    const bridge = frameWindow[namespace];
+    if (!bridge) {
+      throw new Error(`${bundleUrl} did not create the ${namespace} bridge`);
+    }
+    return { bridge, dispose: () => iframe.remove() };
+  } catch (error) {
+    iframe.remove();
+    throw error;
+  }
+}
+
+// Shape of the bridge in the worker, see shared/dartworker.mjs
+type WorkerMembers = Record<string, WorkerMember>;
+type WorkerMember =
+  | { kind: 'function' }
+  | { kind: 'values', values: Record<string, string> }
+  | { kind: 'namespace', members: WorkerMembers };
+
+interface SerializedError {
+  name?: string;
+  message?: string;
+  stack?: string;
+  dartType?: string;
+  dartStack?: string;
+}
+
+type WorkerMessage =
+  | { type: 'ready', manifest: WorkerMembers, errors: { name: string, parent: string }[] }
+  | { type: 'failed', error: SerializedError }
+  | { type: 'result', id: number, value: unknown }
+  | { type: 'error', id: number, error: SerializedError };
+
+type ErrorClass = new (message?: string) => Error;
+
+interface WorkerHandle {
+  post(message: unknown, transfer: Transferable[]): void;
+  /**
+   * Whether the worker keeps a Node.js process alive, only while calls run
+   */
+  setBusy(busy: boolean): void;
+  terminate(): void;
+}
+
+/**
+ * Start shared/dartworker.mjs as a Web Worker, or a worker_threads worker
+ * where there is no Worker global (Node.js)
+ */
+async function startWorker(
+  onMessage: (message: WorkerMessage) => void,
+  onError: (error: Error) => void,
+): Promise<WorkerHandle> {
+  if (typeof Worker === 'function') {
+    // Written out in full so bundlers like Vite pick the worker up
+    const worker = new Worker(new URL('./dartworker.mjs', import.meta.url), { type: 'module' });
+    worker.onmessage = event => onMessage(event.data);
+    worker.onerror = event => onError(new Error(event.message || 'The Dart worker failed to start'));
+    return {
+      post: (message, transfer) => worker.postMessage(message, transfer),
+      setBusy: () => {},
+      terminate: () => worker.terminate(),
+    };
+  }
+
+  const workerThreadsModule = 'node:worker_threads';
+  const { Worker: NodeWorker } = await import(/* @vite-ignore */ workerThreadsModule);
+  const worker = new NodeWorker(new URL('./dartworker.mjs', import.meta.url));
+  let terminated = false;
+  worker.on('message', onMessage);
+  worker.on('error', onError);
+  worker.on('exit', (code: number) => {
+    if (!terminated) onError(new Error(`The Dart worker exited with code ${code}`));
+  });
+  return {
+    post: (message, transfer) => worker.postMessage(message, transfer),
+    setBusy: busy => (busy ? worker.ref() : worker.unref()),
+    terminate: () => {
+      terminated = true;
+      worker.terminate();
+    },
+  };
+}
+
+/**
+ * Buffers of the typed arrays in a value, so they are moved instead of copied
+ */
+function transferables(value: unknown, found = new Set<ArrayBuffer>()): Set<ArrayBuffer> {
+  if (ArrayBuffer.isView(value)) {
+    if (value.buffer instanceof ArrayBuffer) found.add(value.buffer);
+  } else if (Array.isArray(value)) {
+    value.forEach(item => transferables(item, found));
+  } else if (value !== null && typeof value === 'object') {
+    Object.values(value).forEach(item => transferables(item, found));
+  }
+  return found;
+}
+
+/**
+ * Classes standing in for the bridge's error classes on this thread
+ */
+function createErrorClasses(errors: { name: string, parent: string }[]): Record<string, ErrorClass> {
+  const classes: Record<string, ErrorClass> = {};
+  for (const { name, parent } of errors) {
+    const errorClass = class extends (classes[parent] ?? Error) {};
+    Object.defineProperty(errorClass, 'name', { value: name });
+    Object.defineProperty(errorClass.prototype, 'name', { value: name, writable: true, configurable: true });
+    classes[name] = errorClass;
+  }
+  return classes;
+}
+
+/**
+ * Recreate an error posted by the worker as an instance of its class here
+ */
+function reviveError(data: SerializedError, classes: Record<string, ErrorClass>): Error {
+  const name = data.name ?? 'Error';
+  const builtIn = (globalThis as any)[name];
+  const errorClass = classes[name] ?? (typeof builtIn === 'function' && isErrorClass(builtIn) ? builtIn : Error);
+  const error: Error = new errorClass(data.message ?? '');
+  if (error.name !== name) error.name = name;
+  if (data.stack !== undefined) error.stack = data.stack;
+  if (data.dartType !== undefined) {
+    Object.assign(error, { dartType: data.dartType, dartStack: data.dartStack });
+  }
+  return error;
+}
+
+/**
+ * Build the proxy for the bridge in the worker from its manifest
+ */
+function buildWorkerBridge(
+  members: WorkerMembers,
+  path: string[],
+  call: (path: string[], args: unknown[]) => Promise<unknown>,
+): Record<string, unknown> {
+  const target: Record<string, unknown> = {};
+  for (const [name, member] of Object.entries(members)) {
+    const memberPath = [...path, name];
+    if (member.kind === 'function') {
+      target[name] = (...args: unknown[]) => call(memberPath, args);
+    } else if (member.kind === 'values') {
+      target[name] = Object.freeze({ ...member.values });
+    } else {
+      target[name] = buildWorkerBridge(member.members, memberPath, call);
+    }
+  }
+  return target;
+}
+
+/**
+ * Load a bridge into a worker, returning a proxy that posts every call
+ */
+async function createInWorker(
+  bundleUrl: string,
+  namespace: string,
+  notInWorker: string[],
+  remap: boolean,
+  transfer: boolean,
+): Promise<AsyncDartBridgeInstance> {
+  const calls = new Map<number, { resolve: (value: unknown) => void, reject: (error: unknown) => void }>();
+  let nextId = 0;
+  let classes: Record<string, ErrorClass> = {};
+  let disposed = false;
+  let ready!: { resolve: (message: WorkerMessage & { type: 'ready' }) => void, reject: (error: unknown) => void };
+  const started = new Promise<WorkerMessage & { type: 'ready' }>((resolve, reject) => { ready = { resolve, reject }; });
+
+  const revive = (data: SerializedError) => {
+    const error = reviveError(data, classes);
+    return remap ? remapError(error) : error;
+  };
+  const fail = (error: Error) => {
+    ready.reject(error);
+    calls.forEach(call => call.reject(error));
+    calls.clear();
+  };
+
+  const worker = await startWorker(message => {
+    if (message.type === 'ready') {
+      ready.resolve(message);
+    } else if (message.type === 'failed') {
+      ready.reject(revive(message.error));
+    } else {
+      const call = calls.get(message.id);
+      if (!call) return; // Aborted
+      calls.delete(message.id);
+      worker.setBusy(calls.size > 0);
+      if (message.type === 'result') {
+        call.resolve(message.value);
+      } else {
+        call.reject(revive(message.error));
+      }
+    }
+  }, fail);
+
+  const call = (path: string[], args: unknown[]) => new Promise<unknown>((resolve, reject) => {
+    if (disposed) {
+      throw new Error('The Dart worker bridge has been disposed');
+    }
+    const id = nextId++;
+
+    // AbortSignals can't be posted, the worker aborts a signal of its own
+    // when told to; they may be arguments or options of named parameters
+    const signals: [index: number, key: string | null][] = [];
+    const watched: AbortSignal[] = [];
+    const posted = args.map((arg, index) => {
+      if (arg instanceof AbortSignal) {
+        signals.push([index, null]);
+        watched.push(arg);
+        return null;
+      }
+      if (arg !== null && typeof arg === 'object' && Object.getPrototypeOf(arg) === Object.prototype) {
+        return Object.fromEntries(Object.entries(arg).map(([key, value]) => {
+          if (!(value instanceof AbortSignal)) return [key, value];
+          signals.push([index, key]);
+          watched.push(value);
+          return [key, null];
+        }));
+      }
+      return arg;
+    });
+
+    try {
+      worker.post({ type: 'call', id, path, args: posted, signals }, transfer ? [...transferables(posted)] : []);
+    } catch (error) {
+      throw new TypeError(`${namespace}.${path.join('.')} can't be called in a worker with these arguments: ${error}`);
+    }
+    calls.set(id, { resolve, reject });
+    worker.setBusy(true);
+
+    watched.forEach((signal, index) => {
+      const abort = () => {
+        if (!calls.delete(id)) return;
+        worker.setBusy(calls.size > 0);
+        worker.post({ type: 'abort', id, signal: index }, []);
+        reject(signal.reason);
+      };
+      if (signal.aborted) abort();
+      else signal.addEventListener('abort', abort, { once: true });
+    });
+  });
+
+  worker.post({ type: 'init', bundleUrl, namespace, notInWorker }, []);
+  let manifest: WorkerMessage & { type: 'ready' };
+  try {
+    manifest = await started;
+  } catch (error) {
+    worker.terminate();
+    throw error;
+  }
+  worker.setBusy(false);
+
+  classes = createErrorClasses(manifest.errors);
+  const bridge = { ...buildWorkerBridge(manifest.manifest, [], call), ...classes };
+  return {
+    bridge: bridge as unknown as AsyncDartBridge,
+    dispose() {
+      disposed = true;
+      worker.terminate();
+      fail(new Error('The Dart worker bridge has been disposed'));
+    },
+  };
+}
+
+/**
+ * Load an independent bridge into its own realm: a node:vm context in
+ * Node.js/Bun/Deno, a hidden iframe in browsers
+ *
+ * Each instance has its own Dart state and leaves globalThis alone, so
+ * several versions of the Dart code can run side by side, or tests can start
+ * from a fresh bridge. Values from the instance belong to its realm, e.g.
+ * check errors with `error instanceof bridge.DartBridgeError`, not the
+ * host's Error.
+ *
+ * With options.worker the bundle runs in a worker instead, so heavy calls
+ * don't block this thread, and every function of the returned proxy returns
+ * a promise. Arguments and results are structured-cloned, with typed array
+ * buffers moved (see options.transfer); callbacks can't be passed, and
+ * functions returning streams are not available.
+ *
+ * options.entry picks another entry point of dartinjs.config, typed as in
+ * dist/bridges.d.ts: `createDartBridge({ entry: 'sorting' })`.
+ */
+export function createDartBridge(
+  options: CreateDartBridgeOptions & { entry?: typeof DEFAULT_ENTRY, worker: true },
+): Promise<AsyncDartBridgeInstance>;
+export function createDartBridge(
+  options?: CreateDartBridgeOptions & { entry?: typeof DEFAULT_ENTRY, worker?: false },
+): Promise<DartBridgeInstance>;
+export function createDartBridge<E extends DartEntry>(
+  options: CreateDartBridgeOptions & { entry: E, worker: true },
+): Promise<AsyncDartBridgeInstance<AsyncDartBridges[E]>>;
+export function createDartBridge<E extends DartEntry>(
+  options: CreateDartBridgeOptions & { entry: E, worker?: false },
+): Promise<DartBridgeInstance<DartBridges[E]>>;
+export async function createDartBridge(
+  options: CreateDartBridgeOptions = {},
+): Promise<DartBridgeInstance | AsyncDartBridgeInstance> {
+  const entry = options.entry ?? DEFAULT_ENTRY;
+  const bundle = options.bundle ?? defaultDartBundle();
+  const browser = typeof window !== 'undefined' && typeof document !== 'undefined';
+  const remap = bundle === 'development' && options.url === undefined;
+  const bundleUrl = await resolveBundleUrl(options.url, bundle, entry);
+  // The bundle registers the bridge on the namespace of its entry
+  const { namespace, notInWorker } = await readManifest(bundleUrl, entry);
+
+  if (options.worker) {
+    if (remap) {
+      await loadSourceMap(bundleUrl).catch(warnNoSourceMap);
+    }
+    return createInWorker(bundleUrl, namespace, notInWorker, remap, options.transfer ?? true);
+  }
+
+  const instance = browser
+    ? await createInIframe(bundleUrl, namespace)
+    : await createInContext(bundleUrl, namespace);
+  if (remap) {
+    await remapDartStacks(instance.bridge, bundleUrl).catch(warnNoSourceMap);
+  }
+  return instance;
+}
@@ -0,0 +1,161 @@
+/**
+ * Worker entry that hosts the compiled Dart bundle off the main thread
+ *
+ * Started by createDartBridge({ worker: true }) in shared/dartloader.ts as a
+ * Web Worker (module type) or a worker_threads worker. Plain JavaScript, so
+ * Node.js can start it without a TypeScript loader.
+ *
+ * Protocol, main thread → worker:
+ *   { type: 'init', bundleUrl, namespace, notInWorker }
+ *                                       load the bundle, which registers the
+ *                                       bridge on globalThis[namespace], and
+ *                                       describe it without the functions
+ *                                       in notInWorker
+ *   { type: 'call', id, path, args, signals }
+ *                                       call the function at path, with an
+ *                                       AbortSignal at each [index, key] of
+ *                                       signals (key null: the argument)
+ *   { type: 'abort', id, signal }       abort signals[signal] of a call
+ * worker → main thread:
+ *   { type: 'ready', manifest } | { type: 'failed', error }
+ *   { type: 'result', id, value } | { type: 'error', id, error }
+ */
+
+const port = typeof WorkerGlobalScope !== 'undefined'
+  ? {
+      post: (message, transfer) => self.postMessage(message, transfer),
+      listen: handler => self.addEventListener('message', event => handler(event.data)),
+    }
+  : await (async () => {
+      const { parentPort } = await import('node:worker_threads');
+      return {
+        post: (message, transfer) => parentPort.postMessage(message, transfer),
+        listen: handler => parentPort.on('message', handler),
+      };
+    })();
+
+let bridge = null;
+let namespace = 'dartbridge';
+const aborts = new Map();
+
+/**
+ * Whether a bridge value is one of the error classes installed by bridge.dart
+ */
+function isErrorClass(value) {
+  for (let proto = value.prototype && Object.getPrototypeOf(value.prototype); proto; proto = Object.getPrototypeOf(proto)) {
+    if (proto === Error.prototype) return true;
+  }
+  return false;
+}
+
+/**
+ * Describe the shape of the bridge for the main thread: functions,
+ * namespaces, enum values objects and error classes (parents first).
+ * Functions taking callbacks or returning streams, listed in hidden by their
+ * dotted paths, can't be called across threads and are left out.
+ */
+function describe(target, errors, hidden, prefix = '') {
+  const members = {};
+  for (const [name, value] of Object.entries(target)) {
+    if (typeof value === 'function') {
+      if (isErrorClass(value)) {
+        errors.push({ name, parent: Object.getPrototypeOf(value.prototype).name });
+      } else if (!hidden.has(prefix + name)) {
+        members[name] = { kind: 'function' };
+      }
+    } else if (value !== null && typeof value === 'object') {
+      // Enum values objects only hold strings
+      members[name] = Object.values(value).every(v => typeof v === 'string')
+        ? { kind: 'values', values: { ...value } }
+        : { kind: 'namespace', members: describe(value, errors, hidden, `${prefix}${name}.`) };
+    }
+  }
+  return members;
+}
+
+/**
+ * Buffers of the typed arrays in a value, so they are moved instead of copied
+ */
+function transferables(value, found = new Set()) {
+  if (ArrayBuffer.isView(value)) {
+    if (value.buffer instanceof ArrayBuffer) found.add(value.buffer);
+  } else if (Array.isArray(value)) {
+    value.forEach(item => transferables(item, found));
+  } else if (value !== null && typeof value === 'object') {
+    Object.values(value).forEach(item => transferables(item, found));
+  }
+  return found;
+}
+
+/**
+ * Copy the fields of an error that structured cloning would drop
+ */
+function serializeError(error) {
+  if (error === null || typeof error !== 'object') {
+    return { name: 'Error', message: String(error) };
+  }
+  return {
+    name: error.name,
+    message: error.message,
+    stack: error.stack,
+    dartType: error.dartType,
+    dartStack: error.dartStack,
+  };
+}
+
+async function call(path, args) {
+  let target = bridge;
+  for (const name of path.slice(0, -1)) {
+    target = target?.[name];
+  }
+  const fn = target?.[path[path.length - 1]];
+  if (typeof fn !== 'function') {
+    throw new TypeError(`${namespace}.${path.join('.')} is not a function`);
+  }
+
+  const value = await fn.apply(target, args);
+  if (value !== null && typeof value === 'object' && Symbol.asyncIterator in value) {
+    throw new TypeError(`${namespace}.${path.join('.')} returns a stream, which can't leave the worker`);
+  }
+  return value;
+}
+
+port.listen(async message => {
+  if (message.type === 'init') {
+    try {
+      namespace = message.namespace;
+      await import(message.bundleUrl);
+      bridge = globalThis[namespace];
+      if (!bridge) {
+        throw new Error(`${message.bundleUrl} did not create the ${namespace} bridge`);
+      }
+      const errors = [];
+      const manifest = describe(bridge, errors, new Set(message.notInWorker));
+      port.post({ type: 'ready', manifest, errors });
+    } catch (error) {
+      port.post({ type: 'failed', error: serializeError(error) });
+    }
+  } else if (message.type === 'call') {
+    const controllers = message.signals.map(([index, key]) => {
+      const controller = new AbortController();
+      if (key === null) {
+        message.args[index] = controller.signal;
+      } else {
+        message.args[index][key] = controller.signal;
+      }
+      return controller;
+    });
+    aborts.set(message.id, controllers);
+
+    try {
+      const value = await call(message.path, message.args);
+      port.post({ type: 'result', id: message.id, value }, [...transferables(value)]);
+    } catch (error) {
+      port.post({ type: 'error', id: message.id, error: serializeError(error) });
+    } finally {
+      aborts.delete(message.id);
+    }
+  } else if (message.type === 'abort') {
+    aborts.get(message.id)?.[message.signal]?.abort();
+  }
+});
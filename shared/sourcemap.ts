@@ -0,0 +1,189 @@
+/**
+ * Minimal source map (v3) reader for remapping stack traces of the compiled
+ * Dart bundle back to the dart/*.dart sources.
+ *
+ * Only what stack traces need is implemented: decoding `mappings` and
+ * looking up the original position of a generated line and column.
+ */
+
+/**
+ * Original position of a generated location, 1-based like stack frames
+ */
+export interface SourcePosition {
+  source: string;
+  line: number;
+  column: number;
+  name: string | null;
+}
+
+/**
+ * Decoded source map of one bundle
+ */
+export interface SourceMap {
+  /**
+   * Original position of a 1-based generated line and column, or null if
+   * the location is not mapped
+   */
+  lookup(line: number, column: number): SourcePosition | null;
+}
+
+interface RawSourceMap {
+  version: number;
+  sources: string[];
+  sourceRoot?: string;
+  names?: string[];
+  mappings: string;
+}
+
+// [generated column, source index, source line, source column, name index]
+type Segment = [number, number, number, number, number];
+
+const BASE64 = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/';
+
+/**
+ * Decode one line of `mappings` into absolute segments, carrying the
+ * relative source fields over from the previous lines
+ */
+function decodeLine(line: string, state: Segment): Segment[] {
+  const segments: Segment[] = [];
+  state[0] = 0; // Generated columns restart on every line
+
+  for (const encoded of line.split(',')) {
+    if (!encoded) continue;
+
+    const fields: number[] = [];
+    let value = 0;
+    let shift = 0;
+    for (const char of encoded) {
+      const digit = BASE64.indexOf(char);
+      if (digit === -1) {
+        throw new Error(`Invalid source map mapping '${encoded}'`);
+      }
+      value += (digit & 31) << shift;
+      if (digit & 32) {
+        shift += 5;
+      } else {
+        fields.push(value & 1 ? -(value >>> 1) : value >>> 1);
+        value = 0;
+        shift = 0;
+      }
+    }
+
+    // Segments without a source position don't map anywhere
+    fields.forEach((field, i) => { state[i] = state[i]! + field; });
+    if (fields.length >= 4) {
+      const [column, source, sourceLine, sourceColumn, name] = state;
+      segments.push([column, source, sourceLine, sourceColumn, fields.length >= 5 ? name : -1]);
+    }
+  }
+
+  return segments;
+}
+
+/**
+ * Parse a source map, resolving its sources against the URL it was loaded
+ * from
+ */
+export function parseSourceMap(json: string, mapUrl: string): SourceMap {
+  const raw = JSON.parse(json) as RawSourceMap;
+  if (raw.version !== 3) {
+    throw new Error(`Unsupported source map version ${raw.version}`);
+  }
+
+  const root = raw.sourceRoot ? raw.sourceRoot.replace(/\/?$/, '/') : '';
+  const sources = raw.sources.map(source => {
+    try {
+      return new URL(root + source, mapUrl).href;
+    } catch {
+      return root + source;
+    }
+  });
+  const names = raw.names ?? [];
+
+  // Lines are decoded on first lookup, a bundle has thousands of them
+  const encodedLines = raw.mappings.split(';');
+  const decoded: Segment[][] = [];
+  const state: Segment = [0, 0, 0, 0, 0];
+  const decodeUpTo = (index: number) => {
+    for (let i = decoded.length; i <= index && i < encodedLines.length; i++) {
+      decoded.push(decodeLine(encodedLines[i]!, state));
+    }
+  };
+
+  return {
+    lookup(line, column) {
+      decodeUpTo(line - 1);
+      const segments = decoded[line - 1];
+      if (!segments || segments.length === 0) {
+        return null;
+      }
+
+      // Last segment starting at or before the column
+      let low = 0;
+      let high = segments.length - 1;
+      let match = -1;
+      while (low <= high) {
+        const mid = (low + high) >> 1;
+        if (segments[mid]![0] <= column - 1) {
+          match = mid;
+          low = mid + 1;
+        } else {
+          high = mid - 1;
+        }
+      }
+      if (match === -1) {
+        return null;
+      }
+
+      const [, source, sourceLine, sourceColumn, name] = segments[match]!;
+      return {
+        source: sources[source] ?? '<unknown>',
+        line: sourceLine + 1,
+        column: sourceColumn + 1,
+        name: names[name] ?? null,
+      };
+    },
+  };
+}
+
+// V8: "    at name (url:1:2)" or "    at url:1:2"
+const V8_FRAME = /^(\s*at )(?:(.*?) \((.*):(\d+):(\d+)\)|(.*):(\d+):(\d+))$/;
+// Firefox and Safari: "name@url:1:2"
+const GECKO_FRAME = /^(.*?)@(.*):(\d+):(\d+)$/;
+
+/**
+ * Rewrite the frames of a stack trace that have a source map, leaving every
+ * other line untouched
+ *
+ * @param maps - Source maps by the URL of the script they belong to
+ */
+export function remapStack(stack: string, maps: Map<string, SourceMap>): string {
+  const resolve = (url: string, line: string, column: string) =>
+    maps.get(url)?.lookup(Number(line), Number(column)) ?? null;
+  const location = (position: SourcePosition) =>
+    `${position.source}:${position.line}:${position.column}`;
+
+  return stack.split('\n').map(frame => {
+    const v8 = V8_FRAME.exec(frame);
+    if (v8) {
+      const [, prefix, name, url, line, column, bareUrl, bareLine, bareColumn] = v8;
+      const position = url !== undefined
+        ? resolve(url, line!, column!)
+        : resolve(bareUrl!, bareLine!, bareColumn!);
+      if (!position) return frame;
+      const frameName = position.name ?? name;
+      return frameName
+        ? `${prefix}${frameName} (${location(position)})`
+        : `${prefix}${location(position)}`;
+    }
+
+    const gecko = GECKO_FRAME.exec(frame);
+    if (gecko) {
+      const [, name, url, line, column] = gecko;
+      const position = resolve(url!, line!, column!);
+      return position ? `${position.name ?? name}@${location(position)}` : frame;
+    }
+
+    return frame;
+  }).join('\n');
+}